@@ -5,32 +5,105 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const cors = require('cors');
 const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const multer = require('multer');
 
 const app = express();
 
 // Middleware
 app.use(cors());
-app.use(express.json());
-app.use(express.static('public'));
+app.use(express.json({ limit: '2mb' }));
+app.use(express.static(path.join(__dirname, 'public')));
 
 // MongoDB Connection
+// Connecting is left to whoever starts the app: `node server.js` uses MONGODB_URI, tests their own database
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/project-portal';
-mongoose.connect(MONGODB_URI)
-  .then(() => console.log('Connected to MongoDB'))
-  .catch(err => console.error('MongoDB connection error:', err));
+const connectDatabase = async (uri = MONGODB_URI) => {
+  await mongoose.connect(uri);
+  // The unique selectionKeys index has to exist before keys are backfilled: it is the only thing
+  // stopping a student from being selected twice, so the app does not start without it
+  try {
+    await Application.createIndexes();
+  } catch (error) {
+    throw new Error(`Could not build the application indexes that keep a student from being selected twice: ${error.message}`);
+  }
+  await Promise.all([ensureBuiltInRoles(), syncSeatCounts(), syncSelectionKeys(), syncReviewerLoads()]);
+};
 
 // Database Schemas
 const userSchema = new mongoose.Schema({
   loginId: { type: String, required: true, unique: true },
   password: { type: String, required: true },
-  role: { type: String, enum: ['student', 'faculty', 'admin'], required: true },
+  // Name of a Role document; what the user may do comes from that role's permissions
+  role: { type: String, required: true },
   name: { type: String, required: true },
+  email: { type: String, trim: true, lowercase: true },
+  emailDigest: { type: Boolean, default: true },
   areaOfResearch: { type: String }, 
+  // Required when a student account is created
+  dateOfBirth: { type: Date },
   mustChangePassword: { type: Boolean, default: true },
   projectsReviewed: { type: Number, default: 0 },
+  // Faculty who must never review this faculty's proposals (and vice versa)
+  conflictsOfInterest: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  unavailability: [{
+    from: { type: Date, required: true },
+    to: { type: Date, required: true },
+    reason: { type: String, enum: ['leave', 'sabbatical', 'other'], default: 'leave' }
+  }],
+  // Credential lifecycle: lockout after repeated failed logins and one-time reset tokens (stored hashed)
+  failedLoginAttempts: { type: Number, default: 0 },
+  lockedUntil: { type: Date },
+  passwordChangedAt: { type: Date },
+  passwordReset: {
+    tokenHash: { type: String },
+    expiresAt: { type: Date }
+  },
+  // Student profile shown to faculty when they review applicants
+  profile: {
+    programme: { type: String, maxlength: 200 },
+    cgpa: { type: Number, min: 0, max: 10 },
+    skills: [{ type: String, maxlength: 50 }],
+    links: [{ type: String, maxlength: 300 }],
+    cv: {
+      path: { type: String },
+      originalName: { type: String },
+      size: { type: Number },
+      uploadedAt: { type: Date }
+    }
+  },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Every rubric criterion is scored on the same scale, from 1 to RUBRIC_MAX_SCORE
+const RUBRIC_MAX_SCORE = 5;
+
+// Criteria reviewers score each proposal against (novelty, feasibility, scope...). Reviews keep the
+// label they were scored against, so renaming or removing a criterion leaves past reviews intact.
+const rubricCriterionSchema = new mongoose.Schema({
+  label: { type: String, required: true, unique: true, maxlength: 60 },
+  description: { type: String, maxlength: 300 },
+  active: { type: Boolean, default: true },
+  order: { type: Number, default: 0 },
   createdAt: { type: Date, default: Date.now }
 });
 
+const reviewSchema = new mongoose.Schema({
+  faculty: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  decision: { type: String, enum: ['approved', 'rejected'], required: true },
+  comment: { type: String, maxlength: 2500 },
+  scores: [{
+    criterion: { type: mongoose.Schema.Types.ObjectId, ref: 'RubricCriterion' },
+    label: { type: String, required: true },
+    score: { type: Number, required: true, min: 1, max: RUBRIC_MAX_SCORE }
+  }],
+  // Set when a coordinator recorded the decision on behalf of an unresponsive reviewer
+  overriddenBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  reviewedAt: { type: Date, default: Date.now }
+});
+
 // FINAL projectSchema with detailed review tracking
 const projectSchema = new mongoose.Schema({
   title: { type: String, required: true },
@@ -40,32 +113,325 @@ const projectSchema = new mongoose.Schema({
   seatsAvailable: { type: Number, required: true, min: 0 },
   faculty: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   status: { type: String, enum: ['pending', 'approved', 'rejected'], default: 'pending' },
+  cycle: { type: mongoose.Schema.Types.ObjectId, ref: 'Cycle' },
   assignedReviewers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
-  reviews: [{
-    faculty: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-    decision: { type: String, enum: ['approved', 'rejected'], required: true },
-    comment: { type: String, maxlength: 2500 },
-    reviewedAt: { type: Date, default: Date.now }
+  reviews: [reviewSchema],
+  // Revise and resubmit: earlier versions keep the reviews they received
+  revision: { type: Number, default: 0 },
+  versions: [{
+    revision: { type: Number, required: true },
+    title: { type: String, required: true },
+    abstract: { type: String, required: true },
+    timeline: { type: String, required: true },
+    reviews: [reviewSchema],
+    submittedAt: { type: Date }
+  }],
+  // The policy and review totals that produced the current decision
+  decisionBasis: {
+    rule: { type: String },
+    threshold: { type: Number },
+    approvals: { type: Number },
+    rejections: { type: Number },
+    averageScore: { type: Number },
+    decidedAt: { type: Date }
+  },
+  // One entry per assigned reviewer of the current version; reset when a revision is resubmitted
+  reviewDeadlines: [{
+    reviewer: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    assignedAt: { type: Date, default: Date.now },
+    dueAt: { type: Date, required: true },
+    remindedAt: { type: Date }
+  }],
+  // Reviewer replacements, by a coordinator ('manual') or by the deadline job ('overdue')
+  reassignments: [{
+    removed: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    added: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    reason: { type: String, enum: ['manual', 'overdue'], required: true },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    at: { type: Date, default: Date.now }
+  }],
+  // Progress tracking once students are selected; maxMarks weight each milestone in the final grade
+  milestones: [{
+    title: { type: String, required: true, maxlength: 100 },
+    description: { type: String, maxlength: 1000 },
+    dueDate: { type: Date, required: true },
+    maxMarks: { type: Number, required: true, min: 1 }
   }],
+  // Set by the faculty once every deliverable is graded; completed projects appear in the showcase
+  completedAt: { type: Date },
+  // Opt-in by the faculty to list the project on the public showcase and feeds
+  publicListing: { type: Boolean, default: false },
+  submittedAt: { type: Date, default: Date.now },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
 
+projectSchema.index({ title: 'text', abstract: 'text' });
+
+// A team application is made by the team leader (student) on behalf of teamMembers, the team's
+// accepted members at the time of applying (leader included); it takes one seat per member.
 const applicationSchema = new mongoose.Schema({
   student: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true },
-  status: { type: String, enum: ['pending', 'selected', 'rejected'], default: 'pending' },
-  appliedAt: { type: Date, default: Date.now }
+  team: { type: mongoose.Schema.Types.ObjectId, ref: 'Team' },
+  teamMembers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  cycle: { type: mongoose.Schema.Types.ObjectId, ref: 'Cycle' },
+  status: { type: String, enum: ['pending', 'selected', 'waitlisted', 'rejected', 'withdrawn'], default: 'pending' },
+  // Order on the project's waitlist; lowest is promoted first
+  waitlistPosition: { type: Number },
+  statement: { type: String, maxlength: 2500 },
+  studentRank: { type: Number, min: 1, max: 3 },
+  facultyRank: { type: Number, min: 1 },
+  appliedAt: { type: Date, default: Date.now },
+  // "<cycle>:<student>" for each applicant while the application is selected, and absent otherwise.
+  // The unique index lets the database refuse a second selection of a student in the same cycle,
+  // however many faculty select them at once.
+  selectionKeys: { type: [String], default: undefined }
+});
+applicationSchema.index({ selectionKeys: 1 }, { unique: true, partialFilterExpression: { selectionKeys: { $exists: true } } });
+
+// Work handed in by a selected student (or team, through any member) for one milestone.
+// Resubmitting replaces the file until the deliverable has been graded.
+const deliverableSchema = new mongoose.Schema({
+  project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true },
+  milestone: { type: mongoose.Schema.Types.ObjectId, required: true },
+  application: { type: mongoose.Schema.Types.ObjectId, ref: 'Application', required: true },
+  submittedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  note: { type: String, maxlength: 1000 },
+  file: {
+    path: { type: String, required: true },
+    originalName: { type: String },
+    size: { type: Number },
+    mimetype: { type: String }
+  },
+  submittedAt: { type: Date, default: Date.now },
+  marks: { type: Number, min: 0 },
+  feedback: { type: String, maxlength: 2500 },
+  gradedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  gradedAt: { type: Date },
+  // Chosen by the faculty to be shown on the exhibition showcase
+  showcase: { type: Boolean, default: false }
+});
+
+deliverableSchema.index({ application: 1, milestone: 1 }, { unique: true });
+
+// Students who want to work together. The leader creates the team and invites members, who must
+// accept. Membership is fixed while the team has open applications, since those hold a seat per member.
+const teamSchema = new mongoose.Schema({
+  name: { type: String, required: true, maxlength: 60 },
+  cycle: { type: mongoose.Schema.Types.ObjectId, ref: 'Cycle', required: true },
+  leader: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  members: [{
+    student: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    status: { type: String, enum: ['invited', 'accepted'], default: 'invited' },
+    invitedAt: { type: Date, default: Date.now },
+    respondedAt: { type: Date }
+  }],
+  createdAt: { type: Date, default: Date.now }
+});
+
+// An exhibition cycle (e.g. "Fall 2026") scopes projects and applications.
+// Only the active cycle accepts changes; past cycles stay browsable read-only.
+const cycleWindow = {
+  opensAt: { type: Date, required: true },
+  closesAt: { type: Date, required: true }
+};
+
+const cycleSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true },
+  submissionWindow: cycleWindow,
+  reviewWindow: cycleWindow,
+  applicationWindow: cycleWindow,
+  isActive: { type: Boolean, default: false },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// A stable-matching run is saved as a preview first and only turned into selections on commit
+const matchingRunSchema = new mongoose.Schema({
+  cycle: { type: mongoose.Schema.Types.ObjectId, ref: 'Cycle', required: true },
+  status: { type: String, enum: ['preview', 'committed', 'discarded'], default: 'preview' },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  assignments: [{
+    application: { type: mongoose.Schema.Types.ObjectId, ref: 'Application' },
+    student: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project' }
+  }],
+  unmatchedStudents: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  createdAt: { type: Date, default: Date.now },
+  committedAt: { type: Date }
+});
+
+const notificationSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  type: {
+    type: String,
+    enum: [
+      'reviewer_assigned', 'review_reminder', 'review_reassigned', 'proposal_approved', 'proposal_rejected',
+      'student_applied', 'application_selected', 'application_rejected', 'application_waitlisted', 'application_withdrawn',
+      'team_invite', 'deliverable_submitted', 'deliverable_graded', 'project_completed'
+    ],
+    required: true
+  },
+  message: { type: String, required: true },
+  project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project' },
+  application: { type: mongoose.Schema.Types.ObjectId, ref: 'Application' },
+  read: { type: Boolean, default: false },
+  emailedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now }
+});
+notificationSchema.index({ user: 1, read: 1, createdAt: -1 });
+
+// Roles are data: each grants a set of permissions from PERMISSIONS. Area-scoped roles
+// (e.g. a coordinator) only oversee projects of faculty in their own research area.
+const roleSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true, match: /^[a-z][a-z0-9_-]{1,30}$/ },
+  label: { type: String, required: true },
+  permissions: [{ type: String }],
+  areaScoped: { type: Boolean, default: false },
+  builtIn: { type: Boolean, default: false },
+  // Built-in permissions this role has already been given, so permissions added in later
+  // releases reach existing databases without undoing an admin's edits
+  seededPermissions: [{ type: String }],
+  createdAt: { type: Date, default: Date.now }
+});
+
+// How the reviews of a proposal turn into a decision, per research area of the proposer.
+// Areas without a policy keep the original rule that every reviewer must approve.
+const decisionPolicySchema = new mongoose.Schema({
+  areaOfResearch: { type: String, required: true, unique: true },
+  rule: { type: String, enum: ['unanimous', 'majority', 'average_score'], required: true },
+  // Minimum average rubric score for approval under 'average_score'
+  threshold: { type: Number, min: 1, max: RUBRIC_MAX_SCORE },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// A login session. Only hashes of refresh tokens are kept; each refresh rotates the token and
+// remembers the previous one so a replayed (stolen) token ends the session.
+const sessionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  refreshTokenHash: { type: String, required: true, index: true },
+  previousRefreshTokenHash: { type: String, index: true },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date },
+  ip: { type: String },
+  userAgent: { type: String },
+  createdAt: { type: Date, default: Date.now },
+  lastUsedAt: { type: Date, default: Date.now }
+});
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Append-only record of who changed what. Updates and deletes are refused at the model level.
+const auditLogSchema = new mongoose.Schema({
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  actorLoginId: { type: String },
+  actorRole: { type: String },
+  action: { type: String, required: true },
+  targetType: { type: String },
+  targetId: { type: String },
+  before: { type: mongoose.Schema.Types.Mixed },
+  after: { type: mongoose.Schema.Types.Mixed },
+  ip: { type: String },
+  createdAt: { type: Date, default: Date.now, immutable: true }
 });
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1 });
+
+const rejectAuditChange = function (next) {
+  next(new Error('Audit log entries are append-only'));
+};
+auditLogSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndReplace'], rejectAuditChange);
+auditLogSchema.pre('save', function (next) {
+  if (!this.isNew) return rejectAuditChange(next);
+  next();
+});
+
+// Soft delete: archived users, projects and applications stay in the database but are hidden
+// from every query unless it opts in with setOptions({ withDeleted: true }) or filters on deletedAt.
+// deletedWith records whose archival cascaded the record, so a restore brings back exactly that set.
+const softDelete = (schema) => {
+  schema.add({
+    deletedAt: { type: Date },
+    deletedWith: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  });
+  schema.pre(['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'distinct', 'updateOne', 'updateMany'], function () {
+    if (this.getOptions().withDeleted || 'deletedAt' in this.getFilter()) return;
+    this.where({ deletedAt: null });
+  });
+};
+[userSchema, projectSchema, applicationSchema].forEach(schema => schema.plugin(softDelete));
 
 // Models
 const User = mongoose.model('User', userSchema);
 const Project = mongoose.model('Project', projectSchema);
 const Application = mongoose.model('Application', applicationSchema);
+const Cycle = mongoose.model('Cycle', cycleSchema);
+const Team = mongoose.model('Team', teamSchema);
+const Deliverable = mongoose.model('Deliverable', deliverableSchema);
+const MatchingRun = mongoose.model('MatchingRun', matchingRunSchema);
+const Notification = mongoose.model('Notification', notificationSchema);
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+const Session = mongoose.model('Session', sessionSchema);
+const Role = mongoose.model('Role', roleSchema);
+const RubricCriterion = mongoose.model('RubricCriterion', rubricCriterionSchema);
+const DecisionPolicy = mongoose.model('DecisionPolicy', decisionPolicySchema);
+
+// Permissions that roles can grant
+const PERMISSIONS = {
+  'projects.apply': 'Browse approved projects, keep a student profile and apply',
+  'projects.propose': 'Propose projects and manage their applicants',
+  'projects.review': 'Review assigned proposals and declare availability and conflicts',
+  'projects.oversee': 'View all proposals and their reviews (limited to own area for area-scoped roles)',
+  'reviews.override': 'Record a decision for a reviewer who has not responded',
+  'reviews.reassign': 'Replace reviewers who have not yet reviewed',
+  'reviews.configure': 'Define the review rubric and the decision policy of each research area',
+  'users.view': 'View and export user accounts and the archive',
+  'users.manage': 'Create, import, archive, restore, purge and reset user accounts',
+  'roles.manage': 'Define roles and their permissions',
+  'cycles.manage': 'Create and activate exhibition cycles',
+  'matching.run': 'Preview and commit student-project matching',
+  'audit.view': 'View and export the audit log',
+  'notifications.send': 'Send notification email digests on demand',
+  'analytics.view': 'View and export review and demand analytics (limited to own area for area-scoped roles)',
+  'showcase.view': 'Browse completed projects and their showcased work'
+};
+
+// Created on startup when missing; their permissions can be edited afterwards
+const BUILT_IN_ROLES = [
+  { name: 'student', label: 'Student', permissions: ['projects.apply', 'showcase.view'] },
+  { name: 'faculty', label: 'Faculty', permissions: ['projects.propose', 'projects.review', 'showcase.view'] },
+  {
+    name: 'admin',
+    label: 'Administrator',
+    permissions: [
+      'users.view', 'users.manage', 'roles.manage', 'cycles.manage', 'matching.run', 'audit.view', 'notifications.send',
+      'analytics.view', 'reviews.configure', 'showcase.view'
+    ]
+  },
+  {
+    name: 'coordinator',
+    label: 'Coordinator / HOD',
+    permissions: ['projects.oversee', 'reviews.override', 'reviews.reassign', 'analytics.view', 'showcase.view'],
+    areaScoped: true
+  },
+  {
+    name: 'auditor',
+    label: 'Auditor (read-only)',
+    permissions: ['users.view', 'audit.view', 'projects.oversee', 'analytics.view', 'showcase.view']
+  }
+];
+
+// Maximum number of times a rejected proposal can be revised and resubmitted
+const MAX_REVISION_ROUNDS = parseInt(process.env.MAX_REVISION_ROUNDS, 10) || 2;
 
 // JWT Secret
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
 
+// Access tokens are short-lived; a session is kept alive with rotating refresh tokens
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 7;
+
 // Middleware for authentication
 const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -77,454 +443,4180 @@ const authenticateToken = async (req, res, next) => {
 
   try {
     const decoded = jwt.verify(token, JWT_SECRET);
-    const user = await User.findById(decoded.userId);
-    if (!user) {
+    const [user, session] = await Promise.all([
+      User.findById(decoded.userId),
+      Session.findOne({ _id: decoded.sid, user: decoded.userId, revokedAt: null })
+    ]);
+    if (!user || !session) {
       return res.status(401).json({ error: 'Invalid token' });
     }
+    const role = await getRole(user.role);
     req.user = user;
+    req.session = session;
+    req.role = role;
+    req.permissions = role ? role.permissions : [];
     next();
   } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({ error: 'Access token expired' });
+    }
     return res.status(403).json({ error: 'Invalid token' });
   }
 };
 
-// Helper function to get next faculty for review
-const getNextReviewers = async (areaOfResearch, proposingFacultyId, projectCount) => {
-  const facultyInArea = await User.find({ 
-    role: 'faculty', 
-    areaOfResearch: areaOfResearch,
-    _id: { $ne: proposingFacultyId }
-  }).sort({ loginId: 1 });
+// Roles are read on every request, so they are cached briefly and the cache is dropped on every change
+const ROLE_CACHE_MS = 60 * 1000;
+let roleCache = null;
+let roleCacheLoadedAt = 0;
+
+const loadRoles = async () => {
+  if (!roleCache || Date.now() - roleCacheLoadedAt > ROLE_CACHE_MS) {
+    roleCache = new Map((await Role.find().lean()).map(role => [role.name, role]));
+    roleCacheLoadedAt = Date.now();
+  }
+  return roleCache;
+};
+const clearRoleCache = () => { roleCache = null; };
+const getRole = async (name) => (await loadRoles()).get(name);
+
+// Names of the roles granting any of the permissions, e.g. to find everyone who can review
+const rolesWithPermission = async (...permissions) => [...(await loadRoles()).values()]
+  .filter(role => permissions.some(permission => role.permissions.includes(permission)))
+  .map(role => role.name);
+
+const ensureBuiltInRoles = async () => {
+  await Promise.all(BUILT_IN_ROLES.map(async role => {
+    await Role.updateOne(
+      { name: role.name },
+      { $setOnInsert: { ...role, builtIn: true, seededPermissions: role.permissions } },
+      { upsert: true }
+    );
+    await Role.updateOne(
+      { name: role.name, seededPermissions: { $not: { $all: role.permissions } } },
+      {
+        $addToSet: { permissions: { $each: role.permissions } },
+        $set: { seededPermissions: role.permissions }
+      }
+    );
+  }));
+  clearRoleCache();
+};
+
+const hasPermission = (req, ...permissions) => permissions.some(permission => req.permissions.includes(permission));
+
+// Route guard layered on authenticateToken: the user's role must grant at least one of the permissions
+const requirePermission = (...permissions) => (req, res, next) => {
+  if (!hasPermission(req, ...permissions)) {
+    return res.status(403).json({ error: 'You do not have permission to perform this action' });
+  }
+  next();
+};
+
+// File uploads are stored on local disk under UPLOAD_DIR
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, 'uploads');
+const CV_DIR = path.join(UPLOAD_DIR, 'cvs');
+const MAX_CV_SIZE = 5 * 1024 * 1024;
+fs.mkdirSync(CV_DIR, { recursive: true });
+
+const cvUpload = multer({
+  storage: multer.diskStorage({
+    destination: CV_DIR,
+    filename: (req, file, cb) => cb(null, `${req.user._id}-${Date.now()}.pdf`)
+  }),
+  limits: { fileSize: MAX_CV_SIZE },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype !== 'application/pdf') {
+      return cb(new Error('CV must be a PDF file'));
+    }
+    cb(null, true);
+  }
+});
+
+// Deliverables can be any kind of file; they are only ever served as downloads
+const DELIVERABLE_DIR = path.join(UPLOAD_DIR, 'deliverables');
+const MAX_DELIVERABLE_SIZE = 25 * 1024 * 1024;
+fs.mkdirSync(DELIVERABLE_DIR, { recursive: true });
+
+const deliverableUpload = multer({
+  storage: multer.diskStorage({
+    destination: DELIVERABLE_DIR,
+    filename: (req, file, cb) => {
+      const extension = path.extname(file.originalname).replace(/[^.\w]/g, '').slice(0, 10);
+      cb(null, `${req.user._id}-${Date.now()}${extension}`);
+    }
+  }),
+  limits: { fileSize: MAX_DELIVERABLE_SIZE }
+});
+
+// Runs the multer middleware and turns upload errors into 400 responses
+const uploadSingle = (upload, field) => (req, res, next) => {
+  upload.single(field)(req, res, (error) => {
+    if (error) {
+      const message = error.code === 'LIMIT_FILE_SIZE' ? 'File is too large' : error.message;
+      return res.status(400).json({ error: message });
+    }
+    next();
+  });
+};
+
+const hasPdfSignature = (filePath) => {
+  const buffer = Buffer.alloc(5);
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    fs.readSync(fd, buffer, 0, 5, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+  return buffer.toString('latin1') === '%PDF-';
+};
+
+const removeFile = (filePath) => {
+  if (filePath) fs.promises.unlink(filePath).catch(() => {});
+};
+
+// Audit helpers
+// Snapshots are plain objects with credentials and storage paths stripped
+const toAuditSnapshot = (value) => {
+  if (value === undefined || value === null) return undefined;
+  if (Array.isArray(value)) return value.map(toAuditSnapshot);
+  if (typeof value.toObject === 'function') {
+    const snapshot = JSON.parse(JSON.stringify(value.toObject({ depopulate: true })));
+    delete snapshot.password;
+    delete snapshot.passwordReset;
+    if (snapshot.profile && snapshot.profile.cv) delete snapshot.profile.cv.path;
+    if (snapshot.file) delete snapshot.file.path;
+    return snapshot;
+  }
+  if (value.constructor === Object) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toAuditSnapshot(item)]));
+  }
+  return value;
+};
+
+// Records an audit entry for a mutating request. Like notifications, a failure to write
+// the entry is logged rather than undoing the action that already happened.
+const recordAudit = async (req, action, { targetType, targetId, before, after } = {}) => {
+  try {
+    await AuditLog.create({
+      actor: req.user ? req.user._id : undefined,
+      actorLoginId: req.user ? req.user.loginId : undefined,
+      actorRole: req.user ? req.user.role : undefined,
+      action,
+      targetType,
+      targetId: targetId ? targetId.toString() : undefined,
+      before: toAuditSnapshot(before),
+      after: toAuditSnapshot(after),
+      ip: req.ip
+    });
+  } catch (error) {
+    console.error('Audit log error:', error.message);
+  }
+};
+
+// Mail transport: SMTP when SMTP_HOST is set (point it at a local sink such as MailHog or
+// smtp4dev for testing), otherwise messages are dropped. Only the recipient and subject are logged:
+// the body can carry a password reset link.
+const mailTransport = process.env.SMTP_HOST
+  ? nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    })
+  : nodemailer.createTransport({ jsonTransport: true });
+const MAIL_FROM = process.env.MAIL_FROM || 'Project Exhibition Portal <no-reply@project-portal.local>';
+
+const sendMail = async (options) => {
+  const info = await mailTransport.sendMail({ from: MAIL_FROM, ...options });
+  if (!process.env.SMTP_HOST) {
+    console.log(`Mail not sent (SMTP_HOST not configured): "${options.subject}" to ${options.to}`);
+  }
+  return info;
+};
+
+// Credential helpers
+const PASSWORD_MIN_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8;
+const MAX_LOGIN_ATTEMPTS = parseInt(process.env.MAX_LOGIN_ATTEMPTS, 10) || 5;
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15;
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60;
+const APP_URL = process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const generateToken = () => crypto.randomBytes(32).toString('hex');
+
+// One-time password handed to new users; they must replace it on first login
+const generateTemporaryPassword = () => crypto.randomBytes(9).toString('base64url');
+
+const validatePassword = (password, user) => {
+  if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+    return `Password must be at least ${PASSWORD_MIN_LENGTH} characters long.`;
+  }
+  if (password.length > 128) {
+    return 'Password cannot exceed 128 characters.';
+  }
+  if (!/[a-z]/.test(password) || !/[A-Z]/.test(password) || !/\d/.test(password)) {
+    return 'Password must contain an upper-case letter, a lower-case letter and a number.';
+  }
+  if (user && password.toLowerCase().includes(user.loginId.toLowerCase())) {
+    return 'Password must not contain your login ID.';
+  }
+  return null;
+};
+
+const signAccessToken = (user, session) =>
+  jwt.sign({ userId: user._id, role: user.role, sid: session._id }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+
+const startSession = async (user, req) => {
+  const refreshToken = generateToken();
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    ip: req.ip,
+    userAgent: req.get('user-agent')
+  });
+  return { token: signAccessToken(user, session), refreshToken };
+};
+
+// Ends every session of a user, optionally keeping the one making the request
+const revokeSessions = (userId, keepSessionId) => Session.updateMany(
+  { user: userId, revokedAt: null, ...(keepSessionId && { _id: { $ne: keepSessionId } }) },
+  { revokedAt: new Date() }
+);
+
+const setPassword = async (user, password) => {
+  user.password = await bcrypt.hash(password, 10);
+  user.passwordChangedAt = new Date();
+  user.passwordReset = undefined;
+  user.failedLoginAttempts = 0;
+  user.lockedUntil = undefined;
+};
+
+// Stores a hashed one-time reset token on the user and returns the plain token
+const issuePasswordResetToken = async (user) => {
+  const token = generateToken();
+  user.passwordReset = {
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000)
+  };
+  await user.save();
+  return token;
+};
+
+const sendPasswordResetEmail = (user, token) => sendMail({
+  to: user.email,
+  subject: 'Reset your Project Exhibition Portal password',
+  text: `Hello ${user.name},\n\nUse the link below to choose a new password. It can be used once and expires at ${user.passwordReset.expiresAt.toLocaleString()}.\n\n${APP_URL}/?resetToken=${token}\n\nIf you did not ask for this, you can ignore this email.`
+});
+
+// Fixed-window in-memory rate limiter keyed by client IP
+const rateLimit = ({ windowMs, max, message }) => {
+  const hits = new Map();
+  return (req, res, next) => {
+    const now = Date.now();
+    if (hits.size > 10000) {
+      hits.forEach((entry, key) => { if (entry.resetAt <= now) hits.delete(key); });
+    }
+    let entry = hits.get(req.ip);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(req.ip, entry);
+    }
+    entry.count += 1;
+    if (entry.count > max) {
+      res.set('Retry-After', String(Math.ceil((entry.resetAt - now) / 1000)));
+      return res.status(429).json({ error: message });
+    }
+    next();
+  };
+};
+
+const loginLimiter = rateLimit({ windowMs: 15 * 60 * 1000, max: 100, message: 'Too many login attempts. Please try again later.' });
+const publicLimiter = rateLimit({ windowMs: 15 * 60 * 1000, max: 300, message: 'Too many requests. Please try again later.' });
+const passwordResetLimiter = rateLimit({ windowMs: 15 * 60 * 1000, max: 5, message: 'Too many password reset requests. Please try again later.' });
+
+// Server-Sent Events: open streams per user id, each remembering the user's permissions
+const eventClients = new Map();
+
+const writeEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const pushEvent = (userIds, event, data) => {
+  new Set(userIds.filter(Boolean).map(id => id.toString())).forEach(userId => {
+    (eventClients.get(userId) || new Set()).forEach(client => writeEvent(client.res, event, data));
+  });
+};
+
+const broadcastEvent = (permission, event, data) => {
+  eventClients.forEach(clients => clients.forEach(client => {
+    if (client.permissions.includes(permission)) writeEvent(client.res, event, data);
+  }));
+};
+
+// Seat counts and status of a project: the owner always hears about it, students only
+// once the project is approved (that is when it shows up in their catalogue)
+const emitProjectUpdate = (project) => {
+  const payload = {
+    projectId: project._id,
+    status: project.status,
+    seats: project.seats,
+    seatsAvailable: project.seatsAvailable
+  };
+  pushEvent([project.faculty._id || project.faculty], 'project', payload);
+  if (project.status === 'approved') {
+    broadcastEvent('projects.apply', 'project', payload);
+  }
+};
+
+const emitApplicationUpdate = (application, facultyId) => {
+  pushEvent([...applicantIds(application), facultyId], 'application', {
+    applicationId: application._id,
+    projectId: application.project._id || application.project,
+    status: application.status
+  });
+};
+
+// Records an in-app notification for each recipient. Failures are logged and never
+// break the route that triggered the event.
+const notify = async (userIds, type, message, refs = {}) => {
+  try {
+    const recipients = [...new Set(userIds.filter(Boolean).map(id => id.toString()))];
+    if (recipients.length === 0) return;
+    await Notification.insertMany(recipients.map(user => ({ user, type, message, ...refs })));
+    pushEvent(recipients, 'notification', { type, message });
+  } catch (error) {
+    console.error('Notification error:', error.message);
+  }
+};
 
-  if (facultyInArea.length < 5) {
-    throw new Error('Not enough faculty in this area of research for proper review');
+// Emails every user with an address a single digest of their unread, not yet emailed notifications
+const DIGEST_INTERVAL_MINUTES = parseInt(process.env.DIGEST_INTERVAL_MINUTES, 10) || 60;
+
+const sendEmailDigests = async () => {
+  const userIds = await Notification.find({ read: false, emailedAt: null }).distinct('user');
+  const recipients = await User.find({ _id: { $in: userIds }, email: { $nin: [null, ''] }, emailDigest: true });
+  let sent = 0;
+  for (const user of recipients) {
+    const notifications = await Notification.find({ user: user._id, read: false, emailedAt: null }).sort({ createdAt: 1 });
+    if (notifications.length === 0) continue;
+    try {
+      await sendMail({
+        to: user.email,
+        subject: `Project Exhibition Portal: ${notifications.length} new notification${notifications.length === 1 ? '' : 's'}`,
+        text: `Hello ${user.name},\n\n` +
+          notifications.map(n => `- ${n.message} (${n.createdAt.toLocaleString()})`).join('\n') +
+          '\n\nLog in to the portal to see the details.'
+      });
+      await Notification.updateMany({ _id: { $in: notifications.map(n => n._id) } }, { emailedAt: new Date() });
+      sent++;
+    } catch (error) {
+      console.error(`Digest to ${user.email} failed:`, error.message);
+    }
   }
+  return sent;
+};
+
+// Reviewer assignment settings
+const REVIEWERS_PER_PROJECT = 5;
+const MAX_PENDING_REVIEWS = 7;
+// 'adjacent' borrows reviewers from related research areas when an area has too few, 'none' disables it
+const REVIEWER_AREA_FALLBACK = process.env.REVIEWER_AREA_FALLBACK || 'adjacent';
+const ADJACENT_RESEARCH_AREAS = {
+  'Aerospace': ['Electronics & Communication Engineering', 'Electronics & Communication'],
+  'Artificial Intelligence & Machine Learning': ['Computer Science', 'Cyber Security & Digital Forensics', 'Gaming'],
+  'Business Administration': ['E-Commerce'],
+  'Computer Science': ['Artificial Intelligence & Machine Learning', 'Cyber Security & Digital Forensics', 'Gaming'],
+  'Cyber Security & Digital Forensics': ['Computer Science', 'Artificial Intelligence & Machine Learning'],
+  'E-Commerce': ['Business Administration', 'Computer Science'],
+  'Electronics & Communication': ['Electronics & Communication Engineering', 'Aerospace'],
+  'Electronics & Communication Engineering': ['Electronics & Communication', 'Aerospace'],
+  'Gaming': ['Computer Science', 'Artificial Intelligence & Machine Learning']
+};
+
+const isUnavailable = (faculty, date = new Date()) =>
+  faculty.unavailability.some(period => period.from <= date && date <= period.to);
 
-  const startIndex = (projectCount * 5) % facultyInArea.length;
-  const reviewers = [];
-  
-  for (let i = 0; i < 5; i++) {
-    const index = (startIndex + i) % facultyInArea.length;
-    reviewers.push(facultyInArea[index]);
+const hasConflict = (a, b) =>
+  a.conflictsOfInterest.some(id => id.equals(b._id)) || b.conflictsOfInterest.some(id => id.equals(a._id));
+
+// Helper function to get the least-loaded eligible faculty for review. Faculty who are
+// unavailable, have a conflict of interest with the proposer or already carry
+// MAX_PENDING_REVIEWS reviews are skipped; adjacent areas are used as a fallback.
+const getNextReviewers = async (proposingFaculty, count = REVIEWERS_PER_PROJECT, excludeIds = []) => {
+  const excluded = [proposingFaculty._id, ...excludeIds];
+  const findEligible = async (areas) => {
+    const candidates = await User.find({
+      role: { $in: await rolesWithPermission('projects.review') },
+      areaOfResearch: { $in: areas },
+      _id: { $nin: excluded }
+    }).sort({ projectsReviewed: 1, loginId: 1 });
+    return candidates.filter(faculty =>
+      faculty.projectsReviewed < MAX_PENDING_REVIEWS &&
+      !isUnavailable(faculty) &&
+      !hasConflict(faculty, proposingFaculty)
+    );
+  };
+
+  const reviewers = (await findEligible([proposingFaculty.areaOfResearch])).slice(0, count);
+  if (reviewers.length < count && REVIEWER_AREA_FALLBACK === 'adjacent') {
+    excluded.push(...reviewers.map(r => r._id));
+    const adjacentAreas = ADJACENT_RESEARCH_AREAS[proposingFaculty.areaOfResearch] || [];
+    const fallback = await findEligible(adjacentAreas);
+    reviewers.push(...fallback.slice(0, count - reviewers.length));
   }
 
+  if (reviewers.length < count) {
+    throw new Error('Not enough available faculty to review this proposal right now. Please try again later.');
+  }
   return reviewers;
 };
 
-// API Routes
+// Review deadlines
+// Each assigned review is due REVIEW_DUE_DAYS after assignment (counted from the opening of the review
+// window when assigned earlier). Reviewers get one reminder REVIEW_REMINDER_HOURS before the deadline;
+// once it passes, the deadline job hands the review to another eligible reviewer.
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REVIEW_DUE_DAYS = parseInt(process.env.REVIEW_DUE_DAYS, 10) || 7;
+const REVIEW_REMINDER_HOURS = parseInt(process.env.REVIEW_REMINDER_HOURS, 10) || 48;
+const REVIEW_CHECK_INTERVAL_MINUTES = parseInt(process.env.REVIEW_CHECK_INTERVAL_MINUTES, 10) || 60;
 
-// Auth Routes
-app.post('/api/auth/login', async (req, res) => {
+const setReviewDeadlines = (project, reviewerIds, cycle = null, now = new Date()) => {
+  const start = cycle && cycle.reviewWindow.opensAt > now ? cycle.reviewWindow.opensAt : now;
+  const dueAt = new Date(start.getTime() + REVIEW_DUE_DAYS * DAY_MS);
+  const ids = reviewerIds.map(String);
+  project.reviewDeadlines = project.reviewDeadlines.filter(deadline => !ids.includes(deadline.reviewer.toString()));
+  ids.forEach(reviewer => project.reviewDeadlines.push({ reviewer, assignedAt: now, dueAt }));
+};
+
+// Reviewers already assigned or previously replaced are never picked again automatically
+const reviewerExclusions = (project) => [...project.assignedReviewers, ...project.reassignments.map(r => r.removed)];
+
+// Swaps an assigned reviewer who has not reviewed yet for another and records it in the project's history.
+// The swap is a conditional update against the reviewers as read, which only applies while the proposal
+// is pending and the reviewer still has not reviewed, so it cannot race a review or another swap.
+// Returns the updated project, or null when something changed first.
+const replaceReviewer = async (project, reviewerId, replacement, { reason, by = null }) => {
+  const removed = project.assignedReviewers.find(id => id.toString() === String(reviewerId));
+  const deadlines = { reviewDeadlines: project.reviewDeadlines.filter(deadline => !deadline.reviewer.equals(removed)) };
+  setReviewDeadlines(deadlines, [replacement._id]);
+  const updated = await Project.findOneAndUpdate(
+    {
+      _id: project._id,
+      status: 'pending',
+      assignedReviewers: { $all: project.assignedReviewers, $size: project.assignedReviewers.length },
+      'reviews.faculty': { $ne: removed }
+    },
+    {
+      $set: {
+        assignedReviewers: project.assignedReviewers.map(id => (id.equals(removed) ? replacement._id : id)),
+        reviewDeadlines: deadlines.reviewDeadlines,
+        updatedAt: new Date()
+      },
+      $push: { reassignments: { removed, added: replacement._id, reason, by } }
+    },
+    { new: true }
+  );
+  if (!updated) return null;
+  await User.updateOne({ _id: removed }, { $inc: { projectsReviewed: -1 } });
+  await User.updateOne({ _id: replacement._id }, { $inc: { projectsReviewed: 1 } });
+  await notify([replacement._id], 'reviewer_assigned',
+    `You have been assigned to review "${project.title}"`, { project: project._id });
+  await notify([removed], 'review_reassigned',
+    `Your review of "${project.title}" has been handed to another reviewer`, { project: project._id });
+  return updated;
+};
+
+// Sends due reminders and replaces overdue reviewers on pending proposals of the active cycle.
+// Nothing happens outside the review window, since a replacement could not review then either.
+const processReviewDeadlines = async (now = new Date()) => {
+  const result = { reminded: 0, reassigned: 0, unresolved: 0 };
+  const cycle = await Cycle.findOne({ isActive: true });
+  if (!cycle || !isWindowOpen(cycle, 'review', now)) return result;
+  const reminderCutoff = new Date(now.getTime() + REVIEW_REMINDER_HOURS * 60 * 60 * 1000);
+  const projects = await Project.find({ cycle: cycle._id, status: 'pending', 'reviewDeadlines.dueAt': { $lte: reminderCutoff } });
+  for (let project of projects) {
+    const reviewed = new Set(project.reviews.map(review => review.faculty.toString()));
+    const open = project.reviewDeadlines.filter(deadline =>
+      !reviewed.has(deadline.reviewer.toString()) && project.assignedReviewers.some(id => id.equals(deadline.reviewer))
+    );
+    for (const deadline of open.filter(d => d.dueAt > now && d.dueAt <= reminderCutoff && !d.remindedAt)) {
+      deadline.remindedAt = now;
+      await notify([deadline.reviewer], 'review_reminder',
+        `Your review of "${project.title}" is due on ${deadline.dueAt.toLocaleString()}`, { project: project._id });
+      result.reminded++;
+    }
+    await project.save();
+
+    const proposer = await User.findById(project.faculty);
+    for (const deadline of open.filter(d => d.dueAt <= now)) {
+      const reviewerId = deadline.reviewer;
+      let replacement;
+      try {
+        [replacement] = await getNextReviewers(proposer, 1, reviewerExclusions(project));
+      } catch (assignmentError) {
+        result.unresolved++;
+        continue;
+      }
+      const before = toAuditSnapshot(project);
+      const updated = await replaceReviewer(project, reviewerId, replacement, { reason: 'overdue' });
+      // The review arrived while the replacement was being picked
+      if (!updated) continue;
+      project = updated;
+      // No request behind a scheduled job: the entry is recorded without an actor
+      await recordAudit({}, 'project.auto_reassign_reviewer', {
+        targetType: 'Project', targetId: project._id, before, after: { project, removed: reviewerId, added: replacement._id }
+      });
+      result.reassigned++;
+    }
+  }
+  return result;
+};
+
+// Review rubric and decision policies
+const DECISION_RULES = {
+  unanimous: 'Every reviewer approves',
+  majority: 'More than half of the reviewers approve',
+  average_score: 'The average rubric score reaches the threshold'
+};
+const DEFAULT_DECISION_POLICY = { rule: 'unanimous', threshold: null };
+const RESEARCH_AREAS = Object.keys(ADJACENT_RESEARCH_AREAS);
+
+const getDecisionPolicy = async (areaOfResearch) => {
+  const policy = await DecisionPolicy.findOne({ areaOfResearch });
+  return policy ? { rule: policy.rule, threshold: policy.threshold } : DEFAULT_DECISION_POLICY;
+};
+
+const mean = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+const roundScore = (score) => (score === null ? null : Math.round(score * 100) / 100);
+
+// Decision counts and rubric averages of a set of reviews. Reviews recorded without scores
+// (e.g. by a coordinator) count towards the decisions but not the averages.
+const aggregateReviews = (reviews) => {
+  const approvals = reviews.filter(review => review.decision === 'approved').length;
+  const scored = reviews.filter(review => review.scores && review.scores.length > 0);
+  const byCriterion = new Map();
+  scored.forEach(review => review.scores.forEach(({ label, score }) => {
+    if (!byCriterion.has(label)) byCriterion.set(label, []);
+    byCriterion.get(label).push(score);
+  }));
+  return {
+    reviews: reviews.length,
+    approvals,
+    rejections: reviews.length - approvals,
+    averageScore: roundScore(mean(scored.map(review => mean(review.scores.map(s => s.score))))),
+    criteria: [...byCriterion.entries()].map(([label, scores]) => ({ label, averageScore: roundScore(mean(scores)) }))
+  };
+};
+
+// An average-score policy falls back to unanimity when no review carries scores
+const decideProposal = (aggregate, policy) => {
+  if (policy.rule === 'majority') {
+    return aggregate.approvals > aggregate.reviews / 2 ? 'approved' : 'rejected';
+  }
+  if (policy.rule === 'average_score' && aggregate.averageScore !== null) {
+    return aggregate.averageScore >= policy.threshold ? 'approved' : 'rejected';
+  }
+  return aggregate.rejections === 0 ? 'approved' : 'rejected';
+};
+
+// Validates a review body ({ comment, scores: { <criterionId>: score } }) against the active rubric.
+// Returns { review } or { error }. Scores may be left out entirely when not required (overrides).
+const buildReview = async ({ comment, scores } = {}, decision, { scoresRequired = true } = {}) => {
+  if (comment !== undefined && comment !== null && typeof comment !== 'string') {
+    return { error: 'Comment must be text' };
+  }
+  if ((decision === 'rejected' && !(comment || '').trim()) || (comment && comment.length > 2500)) {
+    return { error: 'Feedback comment is required for a rejection and must not exceed 500 words.' };
+  }
+  const given = scores && typeof scores === 'object' ? scores : {};
+  const criteria = await RubricCriterion.find({ active: true }).sort({ order: 1, createdAt: 1 });
+  const parsed = [];
+  if (scoresRequired || Object.keys(given).length > 0) {
+    for (const criterion of criteria) {
+      const score = Number(given[criterion._id]);
+      if (!Number.isInteger(score) || score < 1 || score > RUBRIC_MAX_SCORE) {
+        return { error: `Please score "${criterion.label}" from 1 to ${RUBRIC_MAX_SCORE}` };
+      }
+      parsed.push({ criterion: criterion._id, label: criterion.label, score });
+    }
+  }
+  return { review: { decision, comment: (comment || '').trim() || undefined, scores: parsed } };
+};
+
+// Cycle helpers
+const CYCLE_WINDOWS = {
+  submission: { field: 'submissionWindow', label: 'proposal submission' },
+  review: { field: 'reviewWindow', label: 'proposal review' },
+  application: { field: 'applicationWindow', label: 'student application' }
+};
+
+const isWindowOpen = (cycle, windowName, now = new Date()) => {
+  const window = cycle[CYCLE_WINDOWS[windowName].field];
+  return !!window && window.opensAt <= now && now <= window.closesAt;
+};
+
+// Resolves the active cycle and checks that a record's cycle (if any) is the active one
+// and that the requested window is currently open. Returns { cycle } or { error }.
+const checkCycleWindow = async (windowName, recordCycleId) => {
+  const cycle = await Cycle.findOne({ isActive: true });
+  if (!cycle) {
+    return { error: 'There is no active exhibition cycle.' };
+  }
+  if (recordCycleId && recordCycleId.toString() !== cycle._id.toString()) {
+    return { error: 'This belongs to a past cycle and is read-only.' };
+  }
+  if (windowName && !isWindowOpen(cycle, windowName)) {
+    return { error: `The ${CYCLE_WINDOWS[windowName].label} window for ${cycle.name} is not open.` };
+  }
+  return { cycle };
+};
+
+// Cycle filter for list routes: ?cycle=<id> browses a specific cycle, otherwise the active one
+const resolveCycleFilter = async (req) => {
+  if (req.query.cycle) {
+    return mongoose.isValidObjectId(req.query.cycle) ? { cycle: req.query.cycle } : null;
+  }
+  const activeCycle = await Cycle.findOne({ isActive: true });
+  return activeCycle ? { cycle: activeCycle._id } : {};
+};
+
+const validateCycleInput = ({ name, submissionWindow, reviewWindow, applicationWindow }) => {
+  if (!name) return 'Cycle name is required.';
+  const windows = { submissionWindow, reviewWindow, applicationWindow };
+  for (const [key, window] of Object.entries(windows)) {
+    const opensAt = window && new Date(window.opensAt);
+    const closesAt = window && new Date(window.closesAt);
+    if (!window || isNaN(opensAt.getTime()) || isNaN(closesAt.getTime())) {
+      return `${key} requires valid opensAt and closesAt dates.`;
+    }
+    if (opensAt >= closesAt) {
+      return `${key} must open before it closes.`;
+    }
+  }
+  return null;
+};
+
+// Values of a comma-separated query parameter. Express parses a repeated parameter
+// (?status=a&status=b) into an array, so both forms are accepted.
+const queryList = (value) => [].concat(value).join(',').split(',');
+
+// Project catalogue sorting and cursor pagination. A cursor encodes the sort value and _id
+// of the last project on the previous page, so pages stay stable while projects are added.
+const PROJECT_SORTS = {
+  newest: { field: 'createdAt', direction: -1 },
+  oldest: { field: 'createdAt', direction: 1 },
+  title: { field: 'title', direction: 1 },
+  seats: { field: 'seatsAvailable', direction: -1 }
+};
+
+const encodeCursor = (project, field) =>
+  Buffer.from(JSON.stringify({ value: project[field], id: project._id })).toString('base64url');
+
+const decodeCursor = (cursor, field) => {
   try {
-    const { loginId, password } = req.body;
-    const user = await User.findOne({ loginId });
-    if (!user) {
-      return res.status(400).json({ error: 'Invalid credentials' });
+    const { value, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!mongoose.isValidObjectId(id)) return null;
+    return { value: field === 'createdAt' ? new Date(value) : value, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Student-proposing deferred acceptance (Gale-Shapley) with per-project capacities.
+// Unranked applications fall behind ranked ones, ties are broken by application time.
+const runStableMatching = (applications, capacities) => {
+  const byRank = (rankField) => (a, b) =>
+    (a[rankField] || Infinity) - (b[rankField] || Infinity) || a.appliedAt - b.appliedAt;
+
+  const preferences = new Map();
+  applications.forEach(app => {
+    const studentId = app.student.toString();
+    if (!preferences.has(studentId)) preferences.set(studentId, []);
+    preferences.get(studentId).push(app);
+  });
+  preferences.forEach(list => list.sort(byRank('studentRank')));
+
+  const nextChoice = new Map();
+  const held = new Map();
+  const free = [...preferences.keys()];
+
+  while (free.length > 0) {
+    const studentId = free.shift();
+    const choices = preferences.get(studentId);
+    const index = nextChoice.get(studentId) || 0;
+    if (index >= choices.length) continue;
+    nextChoice.set(studentId, index + 1);
+
+    const app = choices[index];
+    const projectId = app.project.toString();
+    const capacity = capacities.get(projectId) || 0;
+    const current = held.get(projectId) || [];
+    current.push(app);
+    current.sort(byRank('facultyRank'));
+    if (current.length > capacity) {
+      free.push(current.pop().student.toString());
     }
-    const isValidPassword = await bcrypt.compare(password, user.password);
-    if (!isValidPassword) {
-      return res.status(400).json({ error: 'Invalid credentials' });
+    held.set(projectId, current);
+  }
+
+  const assignments = [].concat(...held.values());
+  const matched = new Set(assignments.map(app => app.student.toString()));
+  const unmatchedStudents = [...preferences.keys()].filter(id => !matched.has(id));
+  return { assignments, unmatchedStudents };
+};
+
+// Word-level diff (longest common subsequence) used to show reviewers what changed in a revision
+const diffWords = (before, after) => {
+  const a = (before || '').split(/\s+/).filter(Boolean);
+  const b = (after || '').split(/\s+/).filter(Boolean);
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const segments = [];
+  const push = (type, word) => {
+    const last = segments[segments.length - 1];
+    if (last && last.type === type) last.text += ' ' + word;
+    else segments.push({ type, text: word });
+  };
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('same', a[i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push('removed', a[i++]);
+    } else {
+      push('added', b[j++]);
+    }
+  }
+  while (i < a.length) push('removed', a[i++]);
+  while (j < b.length) push('added', b[j++]);
+  return segments;
+};
+
+// Helper functions for creating users (single and bulk)
+// roleDoc is the Role the user is being created with (undefined when the role does not exist)
+const validateNewUser = ({ loginId, name, role, areaOfResearch, dateOfBirth, email }, roleDoc) => {
+  if (!roleDoc || role === 'admin') {
+    return 'Role must be one of the defined roles (other than admin).';
+  }
+  if (!loginId || !name) {
+    return 'Login ID and name are required.';
+  }
+  if (!/^[A-Za-z0-9._-]{3,32}$/.test(loginId)) {
+    return 'Login ID may only contain letters, digits, dots, dashes and underscores (3-32 characters).';
+  }
+  if (role === 'student' && !/^\d{2}[A-Z]{3}\d{5}$/.test(loginId)) {
+    return 'Invalid format for Registration Number. Use YYBBBNNNNN.';
+  }
+  if (role === 'faculty' && !/^\d{6}$/.test(loginId)) {
+    return 'Invalid format for Login ID. Use 6 digits only.';
+  }
+  if (role === 'student' && (!dateOfBirth || isNaN(new Date(dateOfBirth).getTime()))) {
+    return 'A valid date of birth is required for students.';
+  }
+  if (role === 'faculty' && !areaOfResearch) {
+    return 'Area of research is required for faculty.';
+  }
+  if (roleDoc.areaScoped && !areaOfResearch) {
+    return `Area of research is required for the ${roleDoc.label} role.`;
+  }
+  if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    return 'Invalid email address.';
+  }
+  return null;
+};
+
+const buildNewUser = async ({ loginId, name, role, areaOfResearch, dateOfBirth, email }) => {
+  const defaultPassword = generateTemporaryPassword();
+  const hashedPassword = await bcrypt.hash(defaultPassword, 10);
+  const userData = {
+    loginId,
+    password: hashedPassword,
+    role,
+    name,
+    mustChangePassword: true
+  };
+  if (areaOfResearch && role !== 'student') {
+    userData.areaOfResearch = areaOfResearch;
+  }
+  if (role === 'student') {
+    userData.dateOfBirth = new Date(dateOfBirth);
+  }
+  if (email) {
+    userData.email = email;
+  }
+  return { userData, defaultPassword };
+};
+
+// CSV helpers (RFC 4180 style: quoted fields, escaped quotes, CRLF or LF)
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+};
+
+const toCsv = (columns, records) => {
+  const escape = (value) => {
+    if (value === undefined || value === null) return '';
+    const str = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  };
+  const lines = [columns.join(',')];
+  records.forEach(record => lines.push(columns.map(col => escape(record[col])).join(',')));
+  return lines.join('\r\n') + '\r\n';
+};
+
+const USER_CSV_COLUMNS = ['loginId', 'name', 'role', 'areaOfResearch', 'dateOfBirth', 'email'];
+
+// Archive helpers
+// Archived users can be restored until the retention period has passed; after that an admin may purge them.
+const ARCHIVE_RETENTION_DAYS = parseInt(process.env.ARCHIVE_RETENTION_DAYS, 10) || 30;
+
+const purgeableAt = (user) => new Date(user.deletedAt.getTime() + ARCHIVE_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+// Seat helpers
+// seatsAvailable counts the seats not taken by a selected application. Applying never takes a seat;
+// applying to a full project joins the end of its waitlist, which is promoted in order as seats free up.
+const OPEN_APPLICATION_STATUSES = ['pending', 'waitlisted'];
+
+// The students an application is for, and the number of seats it takes
+const applicantIds = (application) => (application.team ? application.teamMembers : [application.student]);
+const seatCount = (application) => applicantIds(application).length;
+const selectionKeysOf = (application) => applicantIds(application).map(id => `${application.cycle || 'none'}:${id._id || id}`);
+
+// Applications made by or including any of the students
+const applicantFilter = (studentIds) => ({
+  $or: [{ student: { $in: studentIds } }, { teamMembers: { $in: studentIds } }]
+});
+
+const takeSeat = (projectId, count = 1) => Project.findOneAndUpdate(
+  { _id: projectId, seatsAvailable: { $gte: count } },
+  { $inc: { seatsAvailable: -count } },
+  { new: true, withDeleted: true }
+);
+
+const nextWaitlistPosition = async (projectId) => {
+  const last = await Application.findOne({ project: projectId, status: 'waitlisted' }).sort({ waitlistPosition: -1 });
+  return last ? last.waitlistPosition + 1 : 1;
+};
+
+// Application statuses move on with a conditional update from the status they were read with, so when
+// requests race only one of them changes the application and its seats are taken or given back once.
+// Returns the updated application, or null when another request changed it first.
+const transitionApplication = (application, status, { unset = [] } = {}) => {
+  const $unset = Object.fromEntries(['waitlistPosition', ...unset].map(path => [path, 1]));
+  const update = status === 'selected'
+    ? { $set: { status, selectionKeys: selectionKeysOf(application) }, $unset }
+    : { $set: { status }, $unset: { ...$unset, selectionKeys: 1 } };
+  return Application.findOneAndUpdate({ _id: application._id, status: application.status }, update, { new: true });
+};
+
+// Marks an open application selected once its seats are taken and rejects the other open applications
+// of the cycle made by or including any of its students. Returns the selected application with the IDs
+// of the rejected ones, or null when the application is no longer open or one of its students has been
+// selected for another project in the meantime; the caller then gives the seats back.
+const confirmSelection = async (application, project, message) => {
+  if (!OPEN_APPLICATION_STATUSES.includes(application.status)) return null;
+  let selected;
+  try {
+    selected = await transitionApplication(application, 'selected');
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    selected = null;
+  }
+  if (!selected) return null;
+  const otherApplications = {
+    ...applicantFilter(applicantIds(application)),
+    cycle: application.cycle || null,
+    _id: { $ne: application._id },
+    status: { $in: OPEN_APPLICATION_STATUSES }
+  };
+  const autoRejected = await Application.find(otherApplications).distinct('_id');
+  await Application.updateMany(otherApplications, { status: 'rejected', $unset: { waitlistPosition: 1 } });
+  emitProjectUpdate(project);
+  emitApplicationUpdate(selected, project.faculty);
+  await notify(applicantIds(selected), 'application_selected', message, { project: project._id, application: selected._id });
+  return { application: selected, autoRejected };
+};
+
+// Promotes waitlisted applicants, in order, into the project's free seats. A team too large for
+// the free seats keeps its place while smaller applicants behind it move up.
+const fillFromWaitlist = async (projectId) => {
+  const promoted = [];
+  for (;;) {
+    const current = await Project.findById(projectId);
+    if (!current || current.seatsAvailable <= 0) break;
+    const waitlist = await Application.find({ project: projectId, status: 'waitlisted' }).sort({ waitlistPosition: 1 });
+    const next = waitlist.find(application => seatCount(application) <= current.seatsAvailable);
+    if (!next) break;
+    const project = await takeSeat(projectId, seatCount(next));
+    if (!project) break;
+    const selection = await confirmSelection(next, project, `A seat opened up on "${project.title}" and you have been selected from the waitlist`);
+    if (!selection) {
+      // Withdrawn meanwhile, or one of its students was selected elsewhere at the same time and this
+      // application missed the auto-rejection: the seats go back and it leaves the waitlist
+      await Project.updateOne({ _id: projectId }, { $inc: { seatsAvailable: seatCount(next) } }, { withDeleted: true });
+      const rejected = await transitionApplication(next, 'rejected');
+      if (rejected) {
+        // No request behind a waitlist promotion: the entry is recorded without an actor
+        await recordAudit({}, 'application.reject', { targetType: 'Application', targetId: next._id, before: toAuditSnapshot(next), after: rejected });
+        emitApplicationUpdate(rejected, project.faculty);
+        await notify(applicantIds(rejected), 'application_rejected',
+          `Your application to "${project.title}" was not successful`, { project: project._id, application: rejected._id });
+      }
+      continue;
+    }
+    promoted.push(next._id);
+  }
+  return promoted;
+};
+
+// Gives back the seats of a selected application that is leaving (withdrawn, rejected or archived
+// with its student) and offers them to the waitlist
+const releaseSeat = async (projectId, count = 1) => {
+  const project = await Project.findOneAndUpdate(
+    { _id: projectId },
+    { $inc: { seatsAvailable: count } },
+    { new: true, withDeleted: true }
+  );
+  if (project && !project.deletedAt) {
+    emitProjectUpdate(project);
+    await fillFromWaitlist(project._id);
+  }
+};
+
+// Seats used to be taken when a student applied; recount them from the selections on startup.
+// Selections archived with their student hold no seat, those archived with the project keep theirs.
+const syncSeatCounts = async () => {
+  const selections = await Application.find({ status: 'selected' }).setOptions({ withDeleted: true })
+    .select('project student team teamMembers deletedWith');
+  const taken = new Map();
+  selections
+    .filter(application => !application.deletedWith || !application.deletedWith.equals(application.student))
+    .forEach(application => taken.set(
+      application.project.toString(),
+      (taken.get(application.project.toString()) || 0) + seatCount(application)
+    ));
+  const projects = await Project.find().setOptions({ withDeleted: true }).select('seats seatsAvailable');
+  const updates = projects
+    .map(project => ({ project, seatsAvailable: Math.max(project.seats - (taken.get(project._id.toString()) || 0), 0) }))
+    .filter(({ project, seatsAvailable }) => project.seatsAvailable !== seatsAvailable)
+    .map(({ project, seatsAvailable }) => ({ updateOne: { filter: { _id: project._id }, update: { seatsAvailable } } }));
+  if (updates.length > 0) await Project.bulkWrite(updates);
+};
+
+// Selections made before selectionKeys existed get their keys on startup. Archived selections
+// go without until they are restored.
+const syncSelectionKeys = async () => {
+  const selections = await Application.find({ status: 'selected', selectionKeys: { $exists: false } });
+  for (const application of selections) {
+    try {
+      await Application.updateOne({ _id: application._id }, { selectionKeys: selectionKeysOf(application) });
+    } catch (error) {
+      console.error(`Application ${application._id} selects a student already selected in its cycle:`, error.message);
+    }
+  }
+};
+
+// Archive seat accounting: selections archived with their student give their seat back; those
+// archived with a faculty's project keep it, since the project itself is archived alongside them.
+// A selection returning from the archive takes a seat again, or rejoins the waitlist when the project is full.
+const retakeSeat = async (application) => {
+  if (application.status !== 'selected') return;
+  const projectId = application.project._id || application.project;
+  const project = await takeSeat(projectId, seatCount(application));
+  if (!project) {
+    application.status = 'waitlisted';
+    application.selectionKeys = undefined;
+    application.waitlistPosition = await nextWaitlistPosition(projectId);
+  } else if (!project.deletedAt) {
+    emitProjectUpdate(project);
+  }
+};
+
+// Teams: the leader counts towards MAX_TEAM_SIZE and is stored as an accepted member
+const MAX_TEAM_SIZE = parseInt(process.env.MAX_TEAM_SIZE, 10) || 4;
+
+const teamMemberIds = (team) => team.members.filter(member => member.status === 'accepted').map(member => member.student);
+
+const findTeamOf = (studentId, cycleId) => Team.findOne({
+  cycle: cycleId,
+  members: { $elemMatch: { student: studentId, status: 'accepted' } }
+});
+
+// Open or successful applications hold seats for the current members, so the team is locked
+const hasOpenTeamApplications = (team) => Application.exists({
+  team: team._id,
+  status: { $in: [...OPEN_APPLICATION_STATUSES, 'selected'] }
+});
+
+// Progress tracking. Suggested milestones split the project's timeline (e.g. "6 months"),
+// counted from the close of the application window, into a plan, a mid-term review and a final deliverable.
+const TIMELINE_UNIT_DAYS = { day: 1, week: 7, month: 30, year: 365 };
+const DEFAULT_PROJECT_DAYS = 84;
+const MILESTONE_TEMPLATE = [
+  { title: 'Project plan', description: 'Scope, objectives and work plan', share: 0.15, maxMarks: 10 },
+  { title: 'Mid-term progress', description: 'Progress report and a working prototype', share: 0.5, maxMarks: 30 },
+  { title: 'Final deliverable', description: 'Final report and artifacts for the exhibition', share: 1, maxMarks: 60 }
+];
+
+const timelineDays = (timeline) => {
+  const match = /(\d+(?:\.\d+)?)\s*(day|week|month|year)s?/i.exec(timeline || '');
+  return match ? Math.round(parseFloat(match[1]) * TIMELINE_UNIT_DAYS[match[2].toLowerCase()]) : null;
+};
+
+const suggestMilestones = (project, cycle, now = new Date()) => {
+  const windowClose = cycle && cycle.applicationWindow && cycle.applicationWindow.closesAt;
+  const start = windowClose && windowClose > now ? windowClose : now;
+  const days = timelineDays(project.timeline) || DEFAULT_PROJECT_DAYS;
+  return MILESTONE_TEMPLATE.map(({ title, description, share, maxMarks }) => ({
+    title,
+    description,
+    dueDate: new Date(start.getTime() + Math.round(days * share) * DAY_MS),
+    maxMarks
+  }));
+};
+
+const validateMilestones = (milestones) => {
+  if (!Array.isArray(milestones) || milestones.length === 0) return 'Define at least one milestone.';
+  for (const milestone of milestones) {
+    if (!milestone || typeof milestone !== 'object') return 'Every milestone must be an object.';
+    if (typeof milestone.title !== 'string' || !milestone.title.trim()) return 'Every milestone needs a title.';
+    if (milestone.description != null && typeof milestone.description !== 'string') {
+      return `The description of "${milestone.title}" must be text.`;
+    }
+    if (isNaN(new Date(milestone.dueDate).getTime())) return `"${milestone.title}" needs a valid due date.`;
+    if (!(Number(milestone.maxMarks) >= 1)) return `"${milestone.title}" must be worth at least 1 mark.`;
+  }
+  return null;
+};
+
+// Total marks of an application's graded deliverables; complete once every milestone is graded
+const gradeSummary = (project, deliverables) => {
+  const graded = deliverables.filter(deliverable => deliverable.gradedAt);
+  const maxMarks = project.milestones.reduce((sum, milestone) => sum + milestone.maxMarks, 0);
+  const marks = graded.reduce((sum, deliverable) => sum + deliverable.marks, 0);
+  const complete = project.milestones.length > 0 && project.milestones.every(milestone =>
+    graded.some(deliverable => deliverable.milestone.equals(milestone._id)));
+  return { marks, maxMarks, complete, percentage: complete && maxMarks > 0 ? roundScore((marks / maxMarks) * 100) : null };
+};
+
+// Removes deliverables together with their files, for data that is being deleted for good
+const removeDeliverables = async (filter) => {
+  const deliverables = await Deliverable.find(filter).select('file.path');
+  await Deliverable.deleteMany(filter);
+  deliverables.forEach(deliverable => removeFile(deliverable.file && deliverable.file.path));
+};
+
+// A pending proposal counts towards its reviewers' load until it is decided. Archiving or deleting
+// it first releases that load the same way a decision does; restoring it counts it again.
+const adjustReviewerLoad = async (projects, change) => {
+  for (const project of projects.filter(p => p.status === 'pending')) {
+    await User.updateMany({ _id: { $in: project.assignedReviewers } }, { $inc: { projectsReviewed: change } }, { withDeleted: true });
+  }
+};
+
+// Reviewer load used to stay behind when proposals were archived or purged; recount it on startup
+const syncReviewerLoads = async () => {
+  const load = new Map();
+  const pending = await Project.find({ status: 'pending' }).select('assignedReviewers');
+  pending.forEach(project => project.assignedReviewers.forEach(id => load.set(id.toString(), (load.get(id.toString()) || 0) + 1)));
+  const users = await User.find().setOptions({ withDeleted: true }).select('projectsReviewed');
+  const updates = users
+    .filter(user => user.projectsReviewed !== (load.get(user._id.toString()) || 0))
+    .map(user => ({ updateOne: { filter: { _id: user._id }, update: { projectsReviewed: load.get(user._id.toString()) || 0 } } }));
+  if (updates.length > 0) await User.bulkWrite(updates);
+};
+
+const archiveUser = async (user) => {
+  const deletion = { deletedAt: new Date(), deletedWith: user._id };
+  // Archived selections give up their selectionKeys, so their students can be selected elsewhere meanwhile
+  const applicationDeletion = { ...deletion, $unset: { selectionKeys: 1 } };
+  const projects = await Project.find({ faculty: user._id }).select('status assignedReviewers');
+  const projectIds = projects.map(project => project._id);
+  await Project.updateMany({ _id: { $in: projectIds } }, deletion);
+  await adjustReviewerLoad(projects, -1);
+  await Application.updateMany({ project: { $in: projectIds } }, applicationDeletion);
+  const applications = await Application.find({ student: user._id });
+  await Application.updateMany({ _id: { $in: applications.map(a => a._id) } }, applicationDeletion);
+  for (const application of applications.filter(a => a.status === 'selected')) {
+    await releaseSeat(application.project, seatCount(application));
+  }
+  user.deletedAt = deletion.deletedAt;
+  await user.save();
+};
+
+// Brings back everything archived with the user. Records that depend on something still
+// archived (an application whose student or project is archived) are handed over to that
+// owner's archive instead, so restoring the owner later brings them back.
+const restoreUser = async (user) => {
+  const archived = { deletedWith: user._id, deletedAt: { $ne: null } };
+  const restore = { $unset: { deletedAt: 1, deletedWith: 1 } };
+  await adjustReviewerLoad(await Project.find(archived).select('status assignedReviewers'), 1);
+  const restoredProjects = (await Project.updateMany(archived, restore)).modifiedCount;
+  let restoredApplications = 0;
+
+  const applications = await Application.find(archived)
+    .populate({ path: 'student', select: 'deletedAt', options: { withDeleted: true } })
+    .populate({ path: 'project', select: 'title deletedAt deletedWith', options: { withDeleted: true } });
+  for (const application of applications) {
+    const ownApplication = application.student && application.student._id.toString() === user._id.toString();
+    const studentArchived = !ownApplication && application.student && application.student.deletedAt;
+    const projectArchived = application.project && application.project.deletedAt;
+    if (ownApplication) {
+      await retakeSeat(application);
+    }
+    if (studentArchived) {
+      if (application.status === 'selected') await releaseSeat(application.project._id, seatCount(application));
+      application.deletedWith = application.student._id;
+    } else if (projectArchived) {
+      application.deletedWith = application.project.deletedWith;
+    } else {
+      application.deletedAt = undefined;
+      application.deletedWith = undefined;
+      if (application.status === 'selected') application.selectionKeys = selectionKeysOf(application);
+      restoredApplications += 1;
+    }
+    try {
+      await application.save();
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      // One of its students was selected for another project while it was archived: that selection stands
+      application.status = 'rejected';
+      application.selectionKeys = undefined;
+      await application.save();
+      await releaseSeat(application.project._id, seatCount(application));
+      await notify(applicantIds(application), 'application_rejected',
+        `Your application to "${application.project.title}" was not restored because you have been selected for another project`,
+        { project: application.project._id, application: application._id });
+    }
+  }
+
+  user.deletedAt = undefined;
+  user.deletedWith = undefined;
+  await user.save();
+  return { restoredProjects, restoredApplications };
+};
+
+// API Routes
+
+// Auth Routes
+// The signed-in user as the SPA sees it, including what their role allows
+const sessionUser = async (user) => {
+  const role = await getRole(user.role);
+  return {
+    id: user._id,
+    loginId: user.loginId,
+    role: user.role,
+    roleLabel: role ? role.label : user.role,
+    name: user.name,
+    areaOfResearch: user.areaOfResearch,
+    permissions: role ? role.permissions : [],
+    mustChangePassword: user.mustChangePassword
+  };
+};
+
+app.post('/api/auth/login', loginLimiter, async (req, res) => {
+  try {
+    const { loginId, password } = req.body;
+    const user = typeof loginId === 'string' ? await User.findOne({ loginId }) : null;
+    if (!user) {
+      return res.status(400).json({ error: 'Invalid credentials' });
+    }
+    if (user.lockedUntil && user.lockedUntil > new Date()) {
+      return res.status(423).json({
+        error: `Account locked after too many failed attempts. Try again after ${user.lockedUntil.toLocaleTimeString()} or reset your password.`
+      });
+    }
+    const isValidPassword = await bcrypt.compare(password || '', user.password);
+    if (!isValidPassword) {
+      user.failedLoginAttempts += 1;
+      if (user.failedLoginAttempts >= MAX_LOGIN_ATTEMPTS) {
+        user.failedLoginAttempts = 0;
+        user.lockedUntil = new Date(Date.now() + LOGIN_LOCKOUT_MINUTES * 60 * 1000);
+        await recordAudit(req, 'user.lockout', { targetType: 'User', targetId: user._id, after: { lockedUntil: user.lockedUntil } });
+      }
+      await user.save();
+      return res.status(400).json({ error: 'Invalid credentials' });
+    }
+    if (user.failedLoginAttempts > 0 || user.lockedUntil) {
+      user.failedLoginAttempts = 0;
+      user.lockedUntil = undefined;
+      await user.save();
+    }
+    const { token, refreshToken } = await startSession(user, req);
+    res.json({ 
+      token, 
+      refreshToken,
+      user: await sessionUser(user)
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+// Exchanges a refresh token for a new access token, rotating the refresh token
+app.post('/api/auth/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token required' });
+    }
+    const tokenHash = hashToken(refreshToken);
+    const session = await Session.findOne({ refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } });
+    if (!session) {
+      const replayed = await Session.findOne({ previousRefreshTokenHash: tokenHash, revokedAt: null });
+      if (replayed) {
+        replayed.revokedAt = new Date();
+        await replayed.save();
+      }
+      return res.status(401).json({ error: 'Session has ended. Please log in again.' });
+    }
+    const user = await User.findById(session.user);
+    if (!user) {
+      return res.status(401).json({ error: 'Session has ended. Please log in again.' });
+    }
+    const nextRefreshToken = generateToken();
+    session.previousRefreshTokenHash = tokenHash;
+    session.refreshTokenHash = hashToken(nextRefreshToken);
+    session.lastUsedAt = new Date();
+    await session.save();
+    res.json({ token: signAccessToken(user, session), refreshToken: nextRefreshToken });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+app.get('/api/auth/me', authenticateToken, async (req, res) => {
+  try {
+    res.json(await sessionUser(req.user));
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+app.post('/api/auth/logout', authenticateToken, async (req, res) => {
+  try {
+    req.session.revokedAt = new Date();
+    await req.session.save();
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+app.post('/api/auth/change-password', authenticateToken, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const isValidPassword = await bcrypt.compare(currentPassword || '', req.user.password);
+    if (!isValidPassword) {
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+    const passwordError = validatePassword(newPassword, req.user);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+    if (await bcrypt.compare(newPassword, req.user.password)) {
+      return res.status(400).json({ error: 'New password must be different from the current one' });
+    }
+    
+    // Robust save method
+    const userToUpdate = await User.findById(req.user._id);
+    await setPassword(userToUpdate, newPassword);
+    userToUpdate.mustChangePassword = false;
+    await userToUpdate.save();
+    // Other devices have to log in again with the new password
+    await revokeSessions(req.user._id, req.session._id);
+    await recordAudit(req, 'user.change_password', { targetType: 'User', targetId: req.user._id });
+
+    res.json({ message: 'Password changed successfully' });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+// Always answers the same way so the endpoint cannot be used to discover accounts
+app.post('/api/auth/forgot-password', passwordResetLimiter, async (req, res) => {
+  try {
+    const { loginId } = req.body;
+    const user = loginId ? await User.findOne({ loginId: String(loginId) }) : null;
+    if (user && user.email) {
+      const resetToken = await issuePasswordResetToken(user);
+      await sendPasswordResetEmail(user, resetToken);
+      await recordAudit(req, 'user.request_password_reset', { targetType: 'User', targetId: user._id });
+    }
+    res.json({ message: 'If an account with an email address exists for this login ID, a reset link has been sent to it. Otherwise, ask the admin for a reset token.' });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+app.post('/api/auth/reset-password', passwordResetLimiter, async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+    if (!token) {
+      return res.status(400).json({ error: 'Reset token required' });
+    }
+    const user = await User.findOne({
+      'passwordReset.tokenHash': hashToken(String(token)),
+      'passwordReset.expiresAt': { $gt: new Date() }
+    });
+    if (!user) {
+      return res.status(400).json({ error: 'This reset link is invalid or has expired' });
+    }
+    const passwordError = validatePassword(newPassword, user);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+    await setPassword(user, newPassword);
+    user.mustChangePassword = false;
+    await user.save();
+    await revokeSessions(user._id);
+    req.user = user;
+    await recordAudit(req, 'user.reset_password', { targetType: 'User', targetId: user._id });
+    res.json({ message: 'Password has been reset. You can now log in with your new password.' });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+// Admin Routes
+app.post('/api/admin/create-user', authenticateToken, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const validationError = validateNewUser(req.body, await getRole(req.body.role));
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    const { loginId, name, role } = req.body;
+    const existingUser = await User.findOne({ loginId }).setOptions({ withDeleted: true });
+    if (existingUser) {
+      return res.status(400).json({ error: 'Login ID already exists' });
+    }
+    const { userData, defaultPassword } = await buildNewUser(req.body);
+    const user = new User(userData);
+    await user.save();
+    await recordAudit(req, 'user.create', { targetType: 'User', targetId: user._id, after: user });
+    res.status(201).json({ 
+      message: 'User created successfully',
+      user: { loginId, name, role, defaultPassword } 
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+app.get('/api/admin/users', authenticateToken, requirePermission('users.view'), async (req, res) => {
+  try {
+    const users = await User.find({ role: { $ne: 'admin' } })
+      .select('loginId name role areaOfResearch createdAt')
+      .sort({ createdAt: -1 });
+    res.json(users);
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+app.get('/api/admin/users/export', authenticateToken, requirePermission('users.view'), async (req, res) => {
+  try {
+    const users = await User.find({ role: { $ne: 'admin' } })
+      .select('loginId name role areaOfResearch dateOfBirth email createdAt')
+      .sort({ createdAt: -1 });
+    const csv = toCsv(['loginId', 'name', 'role', 'areaOfResearch', 'dateOfBirth', 'email', 'createdAt'], users);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', 'attachment; filename="users.csv"');
+    res.send(csv);
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+// Bulk import: every row is validated independently, so one bad row never aborts the batch.
+// With dryRun the rows are only validated; the random temporary passwords are generated (and returned) only on a real import.
+app.post('/api/admin/import-users', authenticateToken, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const { csv, dryRun } = req.body;
+    if (!csv || typeof csv !== 'string') {
+      return res.status(400).json({ error: 'CSV content is required' });
+    }
+    const rows = parseCsv(csv);
+    if (rows.length < 2) {
+      return res.status(400).json({ error: 'CSV must contain a header row and at least one user' });
+    }
+    const header = rows[0].map(h => h.trim());
+    const missingColumns = ['loginId', 'name', 'role'].filter(col => !header.includes(col));
+    if (missingColumns.length > 0) {
+      return res.status(400).json({ error: `Missing required columns: ${missingColumns.join(', ')}. Expected: ${USER_CSV_COLUMNS.join(', ')}` });
+    }
+
+    const existingIds = new Set(await User.find({
+      loginId: { $in: rows.slice(1).map(r => (r[header.indexOf('loginId')] || '').trim()) }
+    }).setOptions({ withDeleted: true }).distinct('loginId'));
+    const seenIds = new Set();
+    const results = [];
+
+    for (let i = 1; i < rows.length; i++) {
+      const input = {};
+      header.forEach((col, idx) => { input[col] = (rows[i][idx] || '').trim(); });
+      input.role = input.role.toLowerCase();
+      const result = { row: i + 1, loginId: input.loginId, name: input.name, role: input.role };
+
+      let error = validateNewUser(input, await getRole(input.role));
+      if (!error && existingIds.has(input.loginId)) error = 'Login ID already exists';
+      if (!error && seenIds.has(input.loginId)) error = 'Duplicate Login ID in file';
+      seenIds.add(input.loginId);
+      if (error) {
+        results.push({ ...result, status: 'error', error });
+        continue;
+      }
+
+      if (dryRun) {
+        results.push({ ...result, status: 'valid' });
+        continue;
+      }
+      try {
+        const { userData, defaultPassword } = await buildNewUser(input);
+        await new User(userData).save();
+        results.push({ ...result, status: 'created', defaultPassword });
+      } catch (rowError) {
+        results.push({ ...result, status: 'error', error: rowError.message });
+      }
+    }
+
+    const failed = results.filter(r => r.status === 'error').length;
+    if (!dryRun) {
+      await recordAudit(req, 'user.import', {
+        targetType: 'User',
+        after: { created: results.filter(r => r.status === 'created').map(r => r.loginId), failed }
+      });
+    }
+    res.status(dryRun ? 200 : 201).json({
+      message: dryRun ? 'Dry run completed, no users were created' : 'Import completed',
+      dryRun: !!dryRun,
+      total: results.length,
+      succeeded: results.length - failed,
+      failed,
+      results
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+app.delete('/api/admin/user/:id', authenticateToken, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const before = toAuditSnapshot(user);
+    await archiveUser(user);
+    await recordAudit(req, 'user.archive', { targetType: 'User', targetId: user._id, before, after: user });
+    res.json({
+      message: `User archived with their projects and applications. They can be restored from the archive until ${purgeableAt(user).toDateString()}.`
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+// Admin-issued one-time reset: ends the user's sessions and hands back a token the admin
+// passes on (it is also emailed when the user has an address)
+const issueAdminPasswordReset = async (user) => {
+  const resetToken = await issuePasswordResetToken(user);
+  await revokeSessions(user._id);
+  if (user.email) {
+    await sendPasswordResetEmail(user, resetToken);
+  }
+  return {
+    resetToken,
+    resetUrl: `${APP_URL}/?resetToken=${resetToken}`,
+    expiresAt: user.passwordReset.expiresAt,
+    emailed: !!user.email
+  };
+};
+
+app.post('/api/admin/users/:id/password-reset', authenticateToken, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const reset = await issueAdminPasswordReset(user);
+    await recordAudit(req, 'user.issue_password_reset', { targetType: 'User', targetId: user._id, after: { expiresAt: reset.expiresAt } });
+    res.json({ message: 'Password reset token issued', ...reset });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+app.post('/api/admin/reset-user/:id', authenticateToken, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const before = {
+      user: toAuditSnapshot(user),
+      projects: await Project.find({ faculty: user._id }).setOptions({ withDeleted: true }),
+      applications: await Application.find({ student: user._id }).setOptions({ withDeleted: true })
+    };
+    // Applications to the removed projects would otherwise be left pointing at nothing
+    await removeDeliverables({
+      $or: [{ project: { $in: before.projects.map(p => p._id) } }, { application: { $in: before.applications.map(a => a._id) } }]
+    });
+    await Application.deleteMany({ project: { $in: before.projects.map(p => p._id) } });
+    await Project.deleteMany({ faculty: user._id });
+    // Archived proposals released their reviewers when they were archived
+    await adjustReviewerLoad(before.projects.filter(project => !project.deletedAt), -1);
+    await Application.deleteMany({ student: user._id });
+    for (const application of before.applications.filter(a => a.status === 'selected' && !a.deletedAt)) {
+      await releaseSeat(application.project, seatCount(application));
+    }
+    user.projectsReviewed = 0;
+    // The old password stops working; the user sets a new one through the reset token
+    await setPassword(user, generateTemporaryPassword());
+    user.mustChangePassword = true;
+    const reset = await issueAdminPasswordReset(user);
+    await recordAudit(req, 'user.reset', { targetType: 'User', targetId: user._id, before, after: { user } });
+    res.json({ message: 'User data reset successfully', ...reset });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+// Archive Routes
+app.get('/api/admin/archive', authenticateToken, requirePermission('users.view'), async (req, res) => {
+  try {
+    const users = await User.find({ deletedAt: { $ne: null } }).select('-password -passwordReset').sort({ deletedAt: -1 });
+    const archive = await Promise.all(users.map(async user => ({
+      ...user.toObject(),
+      archivedProjects: await Project.countDocuments({ deletedWith: user._id, deletedAt: { $ne: null } }),
+      archivedApplications: await Application.countDocuments({ deletedWith: user._id, deletedAt: { $ne: null } }),
+      purgeableAt: purgeableAt(user)
+    })));
+    res.json({ retentionDays: ARCHIVE_RETENTION_DAYS, users: archive });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+app.post('/api/admin/archive/:id/restore', authenticateToken, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const user = await User.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+    if (!user) {
+      return res.status(404).json({ error: 'Archived user not found' });
+    }
+    const before = toAuditSnapshot(user);
+    const restored = await restoreUser(user);
+    await recordAudit(req, 'user.restore', { targetType: 'User', targetId: user._id, before, after: { user, ...restored } });
+    res.json({
+      message: `User restored with ${restored.restoredProjects} project(s) and ${restored.restoredApplications} application(s)`,
+      ...restored
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+app.delete('/api/admin/archive/:id', authenticateToken, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const user = await User.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+    if (!user) {
+      return res.status(404).json({ error: 'Archived user not found' });
+    }
+    if (purgeableAt(user) > new Date()) {
+      return res.status(400).json({
+        error: `This user is still within the ${ARCHIVE_RETENTION_DAYS}-day retention period and can be purged from ${purgeableAt(user).toDateString()}`
+      });
+    }
+    const projectIds = await Project.find({ faculty: user._id }).setOptions({ withDeleted: true }).distinct('_id');
+    const before = {
+      user: toAuditSnapshot(user),
+      projects: await Project.find({ _id: { $in: projectIds } }).setOptions({ withDeleted: true }),
+      applications: await Application.find({ $or: [{ student: user._id }, { project: { $in: projectIds } }] }).setOptions({ withDeleted: true })
+    };
+    await removeDeliverables({
+      $or: [{ project: { $in: projectIds } }, { application: { $in: before.applications.map(a => a._id) } }]
+    });
+    await Application.deleteMany({ $or: [{ student: user._id }, { project: { $in: projectIds } }] });
+    // Nothing to release for the reviewers: the proposals already did when they were archived
+    await Project.deleteMany({ _id: { $in: projectIds } });
+    await Notification.deleteMany({ user: user._id });
+    await User.deleteOne({ _id: user._id });
+    removeFile(user.profile && user.profile.cv && user.profile.cv.path);
+    await recordAudit(req, 'user.purge', { targetType: 'User', targetId: user._id, before });
+    res.json({ message: 'User and archived data permanently deleted' });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+// Role Routes
+const validateRoleInput = ({ label, permissions }) => {
+  if (!label || typeof label !== 'string' || !label.trim()) {
+    return 'Label is required';
+  }
+  if (!Array.isArray(permissions) || permissions.some(permission => !PERMISSIONS[permission])) {
+    return `Permissions must be a list drawn from: ${Object.keys(PERMISSIONS).join(', ')}`;
+  }
+  return null;
+};
+
+app.get('/api/admin/roles', authenticateToken, requirePermission('users.view', 'roles.manage'), async (req, res) => {
+  try {
+    const roles = await Role.find().sort({ builtIn: -1, name: 1 });
+    const counts = await User.aggregate([{ $match: { deletedAt: null } }, { $group: { _id: '$role', count: { $sum: 1 } } }]);
+    const userCounts = Object.fromEntries(counts.map(c => [c._id, c.count]));
+    res.json({
+      permissions: PERMISSIONS,
+      roles: roles.map(role => ({ ...role.toObject(), userCount: userCounts[role.name] || 0 }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+app.post('/api/admin/roles', authenticateToken, requirePermission('roles.manage'), async (req, res) => {
+  try {
+    const { name, label, permissions, areaScoped } = req.body;
+    if (!name || !/^[a-z][a-z0-9_-]{1,30}$/.test(name)) {
+      return res.status(400).json({ error: 'Name must be 2-31 lower-case letters, digits, dashes or underscores, starting with a letter' });
+    }
+    const validationError = validateRoleInput(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    if (await Role.findOne({ name })) {
+      return res.status(400).json({ error: 'A role with this name already exists' });
+    }
+    const role = await Role.create({ name, label: label.trim(), permissions: [...new Set(permissions)], areaScoped: !!areaScoped });
+    clearRoleCache();
+    await recordAudit(req, 'role.create', { targetType: 'Role', targetId: role._id, after: role });
+    res.status(201).json(role);
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+app.put('/api/admin/roles/:name', authenticateToken, requirePermission('roles.manage'), async (req, res) => {
+  try {
+    const role = await Role.findOne({ name: req.params.name });
+    if (!role) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+    const validationError = validateRoleInput(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    const { label, permissions, areaScoped } = req.body;
+    // Keep at least one way back into role management
+    if (role.name === 'admin' && !permissions.includes('roles.manage')) {
+      return res.status(400).json({ error: 'The admin role must keep the roles.manage permission' });
+    }
+    const before = toAuditSnapshot(role);
+    role.label = label.trim();
+    role.permissions = [...new Set(permissions)];
+    role.areaScoped = !!areaScoped;
+    await role.save();
+    clearRoleCache();
+    await recordAudit(req, 'role.update', { targetType: 'Role', targetId: role._id, before, after: role });
+    res.json(role);
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+app.delete('/api/admin/roles/:name', authenticateToken, requirePermission('roles.manage'), async (req, res) => {
+  try {
+    const role = await Role.findOne({ name: req.params.name });
+    if (!role) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+    if (role.builtIn) {
+      return res.status(400).json({ error: 'Built-in roles cannot be deleted' });
+    }
+    if (await User.exists({ role: role.name }).setOptions({ withDeleted: true })) {
+      return res.status(400).json({ error: 'This role is still assigned to users' });
+    }
+    await Role.deleteOne({ _id: role._id });
+    clearRoleCache();
+    await recordAudit(req, 'role.delete', { targetType: 'Role', targetId: role._id, before: role });
+    res.json({ message: 'Role deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+// Review Rubric Routes
+app.get('/api/rubric', authenticateToken, async (req, res) => {
+  try {
+    const criteria = await RubricCriterion.find({ active: true }).sort({ order: 1, createdAt: 1 });
+    res.json({ maxScore: RUBRIC_MAX_SCORE, criteria });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+app.get('/api/admin/rubric', authenticateToken, requirePermission('reviews.configure'), async (req, res) => {
+  try {
+    const criteria = await RubricCriterion.find().sort({ order: 1, createdAt: 1 });
+    res.json({ maxScore: RUBRIC_MAX_SCORE, criteria });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+const validateCriterionInput = ({ label, description, order }) => {
+  if (typeof label !== 'string' || !label.trim() || label.length > 60) return 'Label is required (at most 60 characters).';
+  if (description && (typeof description !== 'string' || description.length > 300)) return 'Description must be at most 300 characters.';
+  if (order !== undefined && !Number.isInteger(Number(order))) return 'Order must be a whole number.';
+  return null;
+};
+
+app.post('/api/admin/rubric', authenticateToken, requirePermission('reviews.configure'), async (req, res) => {
+  try {
+    const inputError = validateCriterionInput(req.body);
+    if (inputError) {
+      return res.status(400).json({ error: inputError });
+    }
+    const { label, description, order } = req.body;
+    if (await RubricCriterion.findOne({ label: label.trim() })) {
+      return res.status(400).json({ error: 'A criterion with that label already exists' });
+    }
+    const criterion = await RubricCriterion.create({ label: label.trim(), description, order: Number(order) || 0 });
+    await recordAudit(req, 'rubric.create', { targetType: 'RubricCriterion', targetId: criterion._id, after: criterion });
+    res.status(201).json({ message: 'Criterion added', criterion });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+app.put('/api/admin/rubric/:id', authenticateToken, requirePermission('reviews.configure'), async (req, res) => {
+  try {
+    const criterion = mongoose.isValidObjectId(req.params.id) && await RubricCriterion.findById(req.params.id);
+    if (!criterion) {
+      return res.status(404).json({ error: 'Criterion not found' });
+    }
+    const { label = criterion.label, description = criterion.description, order = criterion.order, active } = req.body;
+    const inputError = validateCriterionInput({ label, description, order });
+    if (inputError) {
+      return res.status(400).json({ error: inputError });
+    }
+    if (label.trim() !== criterion.label && await RubricCriterion.findOne({ label: label.trim() })) {
+      return res.status(400).json({ error: 'A criterion with that label already exists' });
+    }
+    const before = toAuditSnapshot(criterion);
+    criterion.label = label.trim();
+    criterion.description = description;
+    criterion.order = Number(order);
+    if (typeof active === 'boolean') criterion.active = active;
+    await criterion.save();
+    await recordAudit(req, 'rubric.update', { targetType: 'RubricCriterion', targetId: criterion._id, before, after: criterion });
+    res.json({ message: 'Criterion updated', criterion });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+// Past reviews keep their scores and labels; the criterion is simply no longer asked for
+app.delete('/api/admin/rubric/:id', authenticateToken, requirePermission('reviews.configure'), async (req, res) => {
+  try {
+    const criterion = mongoose.isValidObjectId(req.params.id) && await RubricCriterion.findById(req.params.id);
+    if (!criterion) {
+      return res.status(404).json({ error: 'Criterion not found' });
+    }
+    await criterion.deleteOne();
+    await recordAudit(req, 'rubric.delete', { targetType: 'RubricCriterion', targetId: criterion._id, before: criterion });
+    res.json({ message: 'Criterion removed' });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+app.get('/api/admin/decision-policies', authenticateToken, requirePermission('reviews.configure'), async (req, res) => {
+  try {
+    const policies = await DecisionPolicy.find();
+    res.json({
+      rules: DECISION_RULES,
+      maxScore: RUBRIC_MAX_SCORE,
+      policies: RESEARCH_AREAS.map(area => {
+        const policy = policies.find(p => p.areaOfResearch === area);
+        return policy
+          ? { areaOfResearch: area, rule: policy.rule, threshold: policy.threshold, updatedAt: policy.updatedAt }
+          : { areaOfResearch: area, ...DEFAULT_DECISION_POLICY };
+      })
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+app.put('/api/admin/decision-policies/:area', authenticateToken, requirePermission('reviews.configure'), async (req, res) => {
+  try {
+    const area = req.params.area;
+    if (!RESEARCH_AREAS.includes(area)) {
+      return res.status(404).json({ error: 'Unknown research area' });
+    }
+    const { rule } = req.body;
+    if (!DECISION_RULES[rule]) {
+      return res.status(400).json({ error: `Rule must be one of: ${Object.keys(DECISION_RULES).join(', ')}` });
+    }
+    const threshold = rule === 'average_score' ? Number(req.body.threshold) : null;
+    if (rule === 'average_score' && !(threshold >= 1 && threshold <= RUBRIC_MAX_SCORE)) {
+      return res.status(400).json({ error: `Threshold must be between 1 and ${RUBRIC_MAX_SCORE}` });
+    }
+    const before = await DecisionPolicy.findOne({ areaOfResearch: area });
+    const policy = await DecisionPolicy.findOneAndUpdate(
+      { areaOfResearch: area },
+      { rule, threshold, updatedBy: req.user._id, updatedAt: new Date() },
+      { upsert: true, new: true, runValidators: true }
+    );
+    await recordAudit(req, 'decision_policy.update', { targetType: 'DecisionPolicy', targetId: policy._id, before, after: policy });
+    res.json({ message: `Decision policy for ${area} updated`, policy });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+// Audit Log Routes
+// { field: { $gte, $lte } } for the valid ends of ?from=&to=, or {} when neither is set
+const dateRangeFilter = (field, { from, to }) => {
+  const range = {};
+  if (from && !isNaN(new Date(from).getTime())) range.$gte = new Date(from);
+  if (to && !isNaN(new Date(to).getTime())) range.$lte = new Date(to);
+  return Object.keys(range).length > 0 ? { [field]: range } : {};
+};
+
+const buildAuditFilter = (query) => {
+  const { actor, action, targetType, targetId } = query;
+  const filter = dateRangeFilter('createdAt', query);
+  if (actor) filter.actorLoginId = actor;
+  if (action) filter.action = { $in: queryList(action) };
+  if (targetType) filter.targetType = targetType;
+  if (targetId) filter.targetId = targetId;
+  return filter;
+};
+
+app.get('/api/admin/audit-logs', authenticateToken, requirePermission('audit.view'), async (req, res) => {
+  try {
+    const filter = buildAuditFilter(req.query);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const [logs, total] = await Promise.all([
+      AuditLog.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      AuditLog.countDocuments(filter)
+    ]);
+    res.json({ logs, total, page, pages: Math.ceil(total / limit) });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+app.get('/api/admin/audit-logs/export', authenticateToken, requirePermission('audit.view'), async (req, res) => {
+  try {
+    const logs = await AuditLog.find(buildAuditFilter(req.query)).sort({ createdAt: -1 }).lean();
+    const csv = toCsv(
+      ['createdAt', 'actorLoginId', 'actorRole', 'action', 'targetType', 'targetId', 'ip', 'before', 'after'],
+      logs.map(log => ({
+        ...log,
+        before: log.before === undefined ? '' : JSON.stringify(log.before),
+        after: log.after === undefined ? '' : JSON.stringify(log.after)
+      }))
+    );
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', 'attachment; filename="audit-log.csv"');
+    res.send(csv);
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+// Faculty Availability Routes
+app.get('/api/faculty/availability', authenticateToken, requirePermission('projects.review'), async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .select('conflictsOfInterest unavailability')
+      .populate('conflictsOfInterest', 'name loginId areaOfResearch');
+    res.json(user);
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+app.put('/api/faculty/conflicts', authenticateToken, requirePermission('projects.review'), async (req, res) => {
+  try {
+    const { loginIds } = req.body;
+    if (!Array.isArray(loginIds)) {
+      return res.status(400).json({ error: 'loginIds must be a list of faculty login IDs' });
+    }
+    const faculty = await User.find({
+      role: { $in: await rolesWithPermission('projects.propose', 'projects.review') },
+      loginId: { $in: loginIds },
+      _id: { $ne: req.user._id }
+    });
+    const unknown = loginIds.filter(id => !faculty.some(f => f.loginId === id));
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown faculty login IDs: ${unknown.join(', ')}` });
+    }
+    const before = { conflictsOfInterest: [...req.user.conflictsOfInterest] };
+    req.user.conflictsOfInterest = faculty.map(f => f._id);
+    await req.user.save();
+    await recordAudit(req, 'faculty.update_conflicts', {
+      targetType: 'User', targetId: req.user._id, before, after: { conflictsOfInterest: req.user.conflictsOfInterest }
+    });
+    res.json({ message: 'Conflicts of interest updated', conflictsOfInterest: faculty.map(f => ({ _id: f._id, name: f.name, loginId: f.loginId })) });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+app.post('/api/faculty/unavailability', authenticateToken, requirePermission('projects.review'), async (req, res) => {
+  try {
+    const { from, to, reason } = req.body;
+    const fromDate = new Date(from);
+    const toDate = new Date(to);
+    if (isNaN(fromDate.getTime()) || isNaN(toDate.getTime()) || fromDate > toDate) {
+      return res.status(400).json({ error: 'A valid period with from before to is required' });
+    }
+    if (reason && !['leave', 'sabbatical', 'other'].includes(reason)) {
+      return res.status(400).json({ error: 'Reason must be leave, sabbatical or other' });
+    }
+    req.user.unavailability.push({ from: fromDate, to: toDate, reason });
+    await req.user.save();
+    await recordAudit(req, 'faculty.add_unavailability', {
+      targetType: 'User', targetId: req.user._id, after: req.user.unavailability[req.user.unavailability.length - 1]
+    });
+    res.status(201).json({ message: 'Unavailability recorded', unavailability: req.user.unavailability });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+app.delete('/api/faculty/unavailability/:periodId', authenticateToken, requirePermission('projects.review'), async (req, res) => {
+  try {
+    const period = req.user.unavailability.id(req.params.periodId);
+    if (!period) return res.status(404).json({ error: 'Unavailability period not found' });
+    const before = toAuditSnapshot(period);
+    period.deleteOne();
+    await req.user.save();
+    await recordAudit(req, 'faculty.remove_unavailability', { targetType: 'User', targetId: req.user._id, before });
+    res.json({ message: 'Unavailability removed', unavailability: req.user.unavailability });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+// Live Updates
+// EventSource cannot send headers, so the stream also accepts the token as ?token=
+const tokenFromQuery = (req, res, next) => {
+  if (!req.headers['authorization'] && req.query.token) {
+    req.headers['authorization'] = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
+app.get('/api/events', tokenFromQuery, authenticateToken, (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const userId = req.user._id.toString();
+  const client = { res, permissions: req.permissions };
+  if (!eventClients.has(userId)) eventClients.set(userId, new Set());
+  eventClients.get(userId).add(client);
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    const clients = eventClients.get(userId);
+    if (clients) {
+      clients.delete(client);
+      if (clients.size === 0) eventClients.delete(userId);
+    }
+  });
+});
+
+// Notification Routes
+app.get('/api/notifications', authenticateToken, async (req, res) => {
+  try {
+    const filter = { user: req.user._id };
+    if (req.query.unread === 'true') filter.read = false;
+    const notifications = await Notification.find(filter)
+      .populate('project', 'title')
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(req.query.limit, 10) || 50, 200));
+    res.json(notifications);
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+app.get('/api/notifications/unread-count', authenticateToken, async (req, res) => {
+  try {
+    const count = await Notification.countDocuments({ user: req.user._id, read: false });
+    res.json({ count });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+app.post('/api/notifications/read-all', authenticateToken, async (req, res) => {
+  try {
+    await Notification.updateMany({ user: req.user._id, read: false }, { read: true });
+    res.json({ message: 'All notifications marked as read' });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+app.post('/api/notifications/:id/read', authenticateToken, async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id },
+      { read: true },
+      { new: true }
+    );
+    if (!notification) return res.status(404).json({ error: 'Notification not found' });
+    res.json(notification);
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+app.get('/api/notifications/preferences', authenticateToken, async (req, res) => {
+  res.json({ email: req.user.email || '', emailDigest: req.user.emailDigest });
+});
+
+app.put('/api/notifications/preferences', authenticateToken, async (req, res) => {
+  try {
+    const { email, emailDigest } = req.body;
+    if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      return res.status(400).json({ error: 'Please provide a valid email address' });
+    }
+    const before = { email: req.user.email, emailDigest: req.user.emailDigest };
+    if (email !== undefined) req.user.email = email;
+    if (emailDigest !== undefined) req.user.emailDigest = !!emailDigest;
+    await req.user.save();
+    await recordAudit(req, 'notification.update_preferences', {
+      targetType: 'User', targetId: req.user._id, before, after: { email: req.user.email, emailDigest: req.user.emailDigest }
+    });
+    res.json({ message: 'Notification preferences saved', email: req.user.email || '', emailDigest: req.user.emailDigest });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+app.post('/api/admin/notifications/send-digests', authenticateToken, requirePermission('notifications.send'), async (req, res) => {
+  try {
+    const sent = await sendEmailDigests();
+    await recordAudit(req, 'notification.send_digests', { after: { sent } });
+    res.json({ message: `Sent ${sent} digest email${sent === 1 ? '' : 's'}` });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+// Runs the review deadline job now instead of waiting for the next scheduled run
+app.post('/api/admin/review-deadlines/run', authenticateToken, requirePermission('cycles.manage', 'reviews.reassign'), async (req, res) => {
+  try {
+    const result = await processReviewDeadlines();
+    await recordAudit(req, 'project.process_review_deadlines', { after: result });
+    res.json({
+      message: `Sent ${result.reminded} reminder(s) and reassigned ${result.reassigned} overdue review(s)` +
+        (result.unresolved ? `; ${result.unresolved} overdue review(s) have no eligible replacement` : ''),
+      ...result
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+// Student Profile Routes
+const APPLICANT_PROFILE_FIELDS = 'name loginId profile.programme profile.cgpa profile.skills profile.links profile.cv.originalName profile.cv.uploadedAt';
+
+// Profile links are shown to faculty as clickable links, so only well-formed http(s) URLs are kept
+const isWebLink = (link) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(link).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+const publicProfile = (user) => {
+  const profile = user.profile || {};
+  return {
+    programme: profile.programme || '',
+    cgpa: profile.cgpa,
+    skills: profile.skills || [],
+    links: profile.links || [],
+    cv: profile.cv && profile.cv.path ? { originalName: profile.cv.originalName, size: profile.cv.size, uploadedAt: profile.cv.uploadedAt } : null
+  };
+};
+
+app.get('/api/students/profile', authenticateToken, requirePermission('projects.apply'), async (req, res) => {
+  res.json(publicProfile(req.user));
+});
+
+app.put('/api/students/profile', authenticateToken, requirePermission('projects.apply'), async (req, res) => {
+  try {
+    const { programme, cgpa, skills, links } = req.body;
+    if (cgpa !== undefined && cgpa !== null && cgpa !== '' && (isNaN(cgpa) || cgpa < 0 || cgpa > 10)) {
+      return res.status(400).json({ error: 'CGPA must be between 0 and 10' });
+    }
+    if (programme !== undefined && programme !== null && (typeof programme !== 'string' || programme.length > 200)) {
+      return res.status(400).json({ error: 'Programme must be text of at most 200 characters' });
+    }
+    if ((skills && !Array.isArray(skills)) || (links && !Array.isArray(links))) {
+      return res.status(400).json({ error: 'Skills and links must be lists' });
+    }
+    if ((skills || []).some(skill => typeof skill !== 'string' || skill.trim().length > 50)) {
+      return res.status(400).json({ error: 'Each skill must be text of at most 50 characters' });
+    }
+    if ((links || []).some(link => typeof link !== 'string' || link.trim().length > 300)) {
+      return res.status(400).json({ error: 'Each link must be text of at most 300 characters' });
+    }
+    if ((links || []).map(link => link.trim()).filter(Boolean).some(link => !isWebLink(link))) {
+      return res.status(400).json({ error: 'Links must be valid http:// or https:// URLs' });
+    }
+    const before = publicProfile(req.user);
+    req.user.set({
+      'profile.programme': programme,
+      'profile.cgpa': cgpa === '' || cgpa === null ? undefined : cgpa,
+      'profile.skills': (skills || []).map(skill => skill.trim()).filter(Boolean).slice(0, 30),
+      'profile.links': (links || []).map(link => link.trim()).filter(Boolean).slice(0, 10)
+    });
+    await req.user.save();
+    await recordAudit(req, 'student.update_profile', { targetType: 'User', targetId: req.user._id, before, after: publicProfile(req.user) });
+    res.json({ message: 'Profile saved successfully', profile: publicProfile(req.user) });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+app.post('/api/students/profile/cv', authenticateToken, requirePermission('projects.apply'), uploadSingle(cvUpload, 'cv'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'Please attach a PDF file in the "cv" field' });
+    }
+    if (!hasPdfSignature(req.file.path)) {
+      removeFile(req.file.path);
+      return res.status(400).json({ error: 'CV must be a PDF file' });
+    }
+    const previousPath = req.user.profile && req.user.profile.cv && req.user.profile.cv.path;
+    const before = publicProfile(req.user).cv;
+    req.user.set('profile.cv', {
+      path: req.file.path,
+      originalName: req.file.originalname,
+      size: req.file.size,
+      uploadedAt: new Date()
+    });
+    await req.user.save();
+    removeFile(previousPath);
+    await recordAudit(req, 'student.upload_cv', { targetType: 'User', targetId: req.user._id, before, after: publicProfile(req.user).cv });
+    res.status(201).json({ message: 'CV uploaded successfully', profile: publicProfile(req.user) });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+app.get('/api/students/profile/cv', authenticateToken, requirePermission('projects.apply'), async (req, res) => {
+  const cv = req.user.profile && req.user.profile.cv;
+  if (!cv || !cv.path) {
+    return res.status(404).json({ error: 'No CV uploaded' });
+  }
+  res.download(cv.path, cv.originalName);
+});
+
+// Cycle Routes
+app.get('/api/cycles', authenticateToken, async (req, res) => {
+  try {
+    const cycles = await Cycle.find().sort({ 'submissionWindow.opensAt': -1 });
+    res.json(cycles);
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+app.post('/api/admin/cycles', authenticateToken, requirePermission('cycles.manage'), async (req, res) => {
+  try {
+    const validationError = validateCycleInput(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    const { name, submissionWindow, reviewWindow, applicationWindow } = req.body;
+    if (await Cycle.findOne({ name })) {
+      return res.status(400).json({ error: 'A cycle with this name already exists' });
+    }
+    const cycle = new Cycle({ name, submissionWindow, reviewWindow, applicationWindow });
+    await cycle.save();
+    await recordAudit(req, 'cycle.create', { targetType: 'Cycle', targetId: cycle._id, after: cycle });
+    res.status(201).json(cycle);
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+app.put('/api/admin/cycles/:id', authenticateToken, requirePermission('cycles.manage'), async (req, res) => {
+  try {
+    const cycle = await Cycle.findById(req.params.id);
+    if (!cycle) return res.status(404).json({ error: 'Cycle not found' });
+    const { name, submissionWindow, reviewWindow, applicationWindow } = req.body;
+    const update = {
+      name: name || cycle.name,
+      submissionWindow: submissionWindow || cycle.submissionWindow,
+      reviewWindow: reviewWindow || cycle.reviewWindow,
+      applicationWindow: applicationWindow || cycle.applicationWindow
+    };
+    const validationError = validateCycleInput(update);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    const before = toAuditSnapshot(cycle);
+    cycle.set(update);
+    await cycle.save();
+    await recordAudit(req, 'cycle.update', { targetType: 'Cycle', targetId: cycle._id, before, after: cycle });
+    res.json(cycle);
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+app.post('/api/admin/cycles/:id/activate', authenticateToken, requirePermission('cycles.manage'), async (req, res) => {
+  try {
+    const cycle = await Cycle.findById(req.params.id);
+    if (!cycle) return res.status(404).json({ error: 'Cycle not found' });
+    const previousActive = await Cycle.findOne({ isActive: true });
+    await Cycle.updateMany({ _id: { $ne: cycle._id } }, { isActive: false });
+    cycle.isActive = true;
+    await cycle.save();
+    await recordAudit(req, 'cycle.activate', {
+      targetType: 'Cycle', targetId: cycle._id,
+      before: { activeCycle: previousActive ? previousActive._id : null }, after: { activeCycle: cycle._id }
+    });
+    res.json({ message: `${cycle.name} is now the active cycle`, cycle });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+// Project Routes
+// Catalogue with search (?q=), filters (?area=, ?faculty=, ?hasSeats=true, ?status=),
+// sorting (?sort=newest|oldest|title|seats) and cursor pagination (?limit=, ?cursor=)
+app.get('/api/projects', authenticateToken, async (req, res) => {
+  try {
+    const filter = await resolveCycleFilter(req);
+    if (!filter) {
+      return res.status(400).json({ error: 'Invalid cycle' });
+    }
+    const { q, area, faculty, hasSeats, status, sort = 'newest', cursor } = req.query;
+    const sortOption = PROJECT_SORTS[sort];
+    if (!sortOption) {
+      return res.status(400).json({ error: `Sort must be one of: ${Object.keys(PROJECT_SORTS).join(', ')}` });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    // Applicants only ever see approved projects
+    if (hasPermission(req, 'projects.apply')) {
+      filter.status = 'approved';
+    } else if (status) {
+      filter.status = { $in: queryList(status) };
+    }
+    if (typeof q === 'string' && q.trim()) {
+      filter.$text = { $search: q.trim() };
+    }
+    if (hasSeats === 'true') {
+      filter.seatsAvailable = { $gt: 0 };
+    }
+    if (faculty || area) {
+      const facultyFilter = { role: { $in: await rolesWithPermission('projects.propose') } };
+      if (faculty) {
+        if (!mongoose.isValidObjectId(faculty)) return res.status(400).json({ error: 'Invalid faculty' });
+        facultyFilter._id = faculty;
+      }
+      if (area) facultyFilter.areaOfResearch = { $in: queryList(area) };
+      filter.faculty = { $in: await User.find(facultyFilter).distinct('_id') };
+    }
+
+    const total = await Project.countDocuments(filter);
+    const { field, direction } = sortOption;
+    const pageFilter = { ...filter };
+    if (cursor) {
+      const position = decodeCursor(cursor, field);
+      if (!position) return res.status(400).json({ error: 'Invalid cursor' });
+      const beyond = direction === 1 ? '$gt' : '$lt';
+      pageFilter.$or = [
+        { [field]: { [beyond]: position.value } },
+        { [field]: position.value, _id: { [beyond]: position.id } }
+      ];
+    }
+
+    const projects = await Project.find(pageFilter)
+      .populate('faculty', 'name loginId areaOfResearch')
+      .sort({ [field]: direction, _id: direction })
+      .limit(limit + 1);
+    const hasMore = projects.length > limit;
+    const page = projects.slice(0, limit);
+    res.json({
+      projects: page,
+      total,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1], field) : null
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+app.post('/api/projects', authenticateToken, requirePermission('projects.propose'), async (req, res) => {
+  try {
+    const { title, abstract, timeline, seats } = req.body;
+    if (abstract.length > 2500) {
+      return res.status(400).json({ error: 'Abstract cannot exceed 500 words (approx. 2500 characters)' });
+    }
+    const { cycle, error: cycleError } = await checkCycleWindow('submission');
+    if (cycleError) {
+      return res.status(400).json({ error: cycleError });
+    }
+    let reviewers;
+    try {
+      reviewers = await getNextReviewers(req.user);
+    } catch (assignmentError) {
+      return res.status(400).json({ error: assignmentError.message });
+    }
+    const project = new Project({
+      title,
+      abstract,
+      timeline,
+      seats,
+      seatsAvailable: seats,
+      faculty: req.user._id,
+      cycle: cycle._id,
+      status: 'pending',
+      assignedReviewers: reviewers.map(r => r._id)
+    });
+    setReviewDeadlines(project, project.assignedReviewers, cycle);
+    await project.save();
+    await User.updateMany({ _id: { $in: reviewers.map(r => r._id) } }, { $inc: { projectsReviewed: 1 } });
+    await recordAudit(req, 'project.create', { targetType: 'Project', targetId: project._id, after: project });
+    await notify(reviewers.map(r => r._id), 'reviewer_assigned',
+      `You have been assigned to review "${project.title}"`, { project: project._id });
+    await project.populate('faculty', 'name loginId');
+    res.status(201).json(project);
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+app.get('/api/projects/my', authenticateToken, requirePermission('projects.propose'), async (req, res) => {
+  try {
+    const filter = await resolveCycleFilter(req);
+    if (!filter) {
+      return res.status(400).json({ error: 'Invalid cycle' });
+    }
+    const projects = await Project.find({ ...filter, faculty: req.user._id })
+      .populate('faculty', 'name loginId')
+      .populate({ path: 'reviews.faculty', select: 'name loginId', options: { withDeleted: true } })
+      .populate({ path: 'versions.reviews.faculty', select: 'name loginId', options: { withDeleted: true } })
+      .sort({ createdAt: -1 });
+    const areaPolicy = await getDecisionPolicy(req.user.areaOfResearch);
+    res.json(projects.map(p => ({
+      ...p.toObject(),
+      revisionsRemaining: Math.max(MAX_REVISION_ROUNDS - p.revision, 0),
+      reviewSummary: aggregateReviews(p.reviews),
+      // Pending proposals will be decided under the area's current policy
+      decisionPolicy: p.status === 'pending' || !p.decisionBasis || !p.decisionBasis.rule ? areaPolicy : p.decisionBasis
+    })));
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+app.get('/api/projects/review', authenticateToken, requirePermission('projects.review'), async (req, res) => {
+  try {
+    const filter = await resolveCycleFilter(req);
+    if (!filter) {
+      return res.status(400).json({ error: 'Invalid cycle' });
+    }
+    const projects = await Project.find({
+      ...filter,
+      status: 'pending',
+      assignedReviewers: req.user._id,
+      'reviews.faculty': { $ne: req.user._id }
+    })
+    .populate('faculty', 'name loginId areaOfResearch')
+    .sort({ createdAt: 1 });
+    res.json(projects.map(p => {
+      const project = p.toObject();
+      const previous = p.versions[p.versions.length - 1];
+      if (previous) {
+        project.previousVersion = { revision: previous.revision, title: previous.title, abstract: previous.abstract, timeline: previous.timeline };
+        project.changes = {
+          title: diffWords(previous.title, p.title),
+          abstract: diffWords(previous.abstract, p.abstract),
+          timeline: diffWords(previous.timeline, p.timeline)
+        };
+      }
+      const deadline = p.reviewDeadlines.find(d => d.reviewer.equals(req.user._id));
+      project.dueAt = deadline ? deadline.dueAt : null;
+      delete project.versions;
+      delete project.reviewDeadlines;
+      delete project.reassignments;
+      return project;
+    }));
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+// Revise and resubmit a rejected proposal: the current version is archived with its reviews
+// and the revision goes back to the same assigned reviewers.
+app.put('/api/projects/:id', authenticateToken, requirePermission('projects.propose'), async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id);
+    if (!project || project.faculty.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'Not authorized for this project' });
+    }
+    if (project.status !== 'rejected') {
+      return res.status(400).json({ error: 'Only rejected proposals can be revised' });
+    }
+    if (project.revision >= MAX_REVISION_ROUNDS) {
+      return res.status(400).json({ error: `This proposal has reached the maximum of ${MAX_REVISION_ROUNDS} revision rounds. Please create a new proposal.` });
+    }
+    const { title, abstract, timeline } = req.body;
+    if (!title || !abstract || !timeline) {
+      return res.status(400).json({ error: 'Title, abstract and timeline are required' });
+    }
+    if (abstract.length > 2500) {
+      return res.status(400).json({ error: 'Abstract cannot exceed 500 words (approx. 2500 characters)' });
+    }
+    const { error: cycleError } = await checkCycleWindow('review', project.cycle);
+    if (cycleError) {
+      return res.status(400).json({ error: cycleError });
+    }
+
+    const before = toAuditSnapshot(project);
+    project.versions.push({
+      revision: project.revision,
+      title: project.title,
+      abstract: project.abstract,
+      timeline: project.timeline,
+      reviews: project.reviews,
+      submittedAt: project.submittedAt
+    });
+    project.title = title;
+    project.abstract = abstract;
+    project.timeline = timeline;
+    project.reviews = [];
+    project.status = 'pending';
+    project.decisionBasis = undefined;
+    project.revision += 1;
+    project.submittedAt = new Date();
+    project.updatedAt = new Date();
+    setReviewDeadlines(project, project.assignedReviewers);
+    await project.save();
+    await User.updateMany({ _id: { $in: project.assignedReviewers } }, { $inc: { projectsReviewed: 1 } });
+    await recordAudit(req, 'project.revise', { targetType: 'Project', targetId: project._id, before, after: project });
+    await notify(project.assignedReviewers, 'reviewer_assigned',
+      `A revised version of "${project.title}" is ready for your review`, { project: project._id });
+    await project.populate('faculty', 'name loginId');
+    res.json({ message: 'Revised proposal resubmitted for review', project });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+// Review submission
+// A review is added with a single conditional update, so it only lands on a proposal that is still
+// pending, by a reviewer who is assigned to it and has not reviewed it yet, however many requests race.
+// Returns the updated proposal, or null when one of those conditions no longer holds.
+const addReview = (projectId, reviewerId, review) => Project.findOneAndUpdate(
+  { _id: projectId, status: 'pending', assignedReviewers: reviewerId, 'reviews.faculty': { $ne: reviewerId } },
+  { $push: { reviews: { faculty: reviewerId, ...review } } },
+  { new: true }
+);
+
+// Why a reviewer cannot review the proposal. An existing review is returned rather than an error,
+// so that repeating the same submission succeeds without adding a second review.
+const reviewConflict = (project, reviewerId) => {
+  const existing = project.reviews.find(review => review.faculty && review.faculty.toString() === String(reviewerId));
+  if (existing) return { existing };
+  if (project.status !== 'pending') {
+    return { status: 400, error: `This proposal has already been ${project.status}` };
+  }
+  if (!project.assignedReviewers.some(id => id.toString() === String(reviewerId))) {
+    return { status: 403, error: 'You are not assigned to review this proposal' };
+  }
+  return null;
+};
+
+// Decides a proposal once every assigned reviewer has reviewed it. The decision is a conditional
+// update from pending, so when the last reviews arrive together only one request decides and the
+// reviewers' workload is released exactly once. Returns the proposal as it stands afterwards.
+async function processFinalReview(project) {
+  if (project.reviews.length < project.assignedReviewers.length) {
+    emitProjectUpdate(project);
+    return project;
+  }
+  const proposer = await User.findById(project.faculty).setOptions({ withDeleted: true });
+  const policy = await getDecisionPolicy(proposer && proposer.areaOfResearch);
+  const aggregate = aggregateReviews(project.reviews);
+  const status = decideProposal(aggregate, policy);
+  const decided = await Project.findOneAndUpdate(
+    { _id: project._id, status: 'pending', reviews: { $size: project.reviews.length } },
+    {
+      status,
+      decisionBasis: {
+        ...policy,
+        approvals: aggregate.approvals,
+        rejections: aggregate.rejections,
+        averageScore: aggregate.averageScore,
+        decidedAt: new Date()
+      }
+    },
+    { new: true }
+  );
+  if (!decided) {
+    return (await Project.findById(project._id)) || project;
+  }
+  await User.updateMany(
+      { _id: { $in: decided.assignedReviewers } },
+      { $inc: { projectsReviewed: -1 } }
+  );
+  await notify([decided.faculty], status === 'rejected' ? 'proposal_rejected' : 'proposal_approved',
+    `Your proposal "${decided.title}" has been ${status}`, { project: decided._id });
+  emitProjectUpdate(decided);
+  return decided;
+}
+
+// Shared by the approve and reject routes. Resubmitting the same decision returns the recorded
+// review; changing it needs a revision of the proposal.
+const submitReview = async (req, res, decision, { action, message }) => {
+  const { review, error } = await buildReview(req.body, decision);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const project = mongoose.isValidObjectId(req.params.id) ? await Project.findById(req.params.id) : null;
+  if (!project) return res.status(404).json({ error: 'Project not found' });
+  const { error: cycleError } = await checkCycleWindow('review', project.cycle);
+  if (cycleError) {
+    return res.status(400).json({ error: cycleError });
+  }
+  let conflict = reviewConflict(project, req.user._id);
+  let reviewed = null;
+  if (!conflict) {
+    reviewed = await addReview(project._id, req.user._id, review);
+    if (!reviewed) {
+      // Another request changed the proposal first: explain from its current state
+      const current = await Project.findById(project._id);
+      conflict = (current && reviewConflict(current, req.user._id)) ||
+        { status: 409, error: 'This proposal was changed by another request. Reload and try again.' };
+    }
+  }
+  if (conflict && conflict.existing) {
+    if (conflict.existing.decision !== decision) {
+      return res.status(409).json({ error: `You have already ${conflict.existing.decision} this proposal` });
+    }
+    return res.json({ message: 'Your review was already recorded', project: await Project.findById(project._id) });
+  }
+  if (conflict) {
+    return res.status(conflict.status).json({ error: conflict.error });
+  }
+  const decided = await processFinalReview(reviewed);
+  await recordAudit(req, action, { targetType: 'Project', targetId: project._id, before: toAuditSnapshot(project), after: decided });
+  res.json({ message, project: decided });
+};
+
+app.post('/api/projects/:id/approve', authenticateToken, requirePermission('projects.review'), async (req, res) => {
+  try {
+    await submitReview(req, res, 'approved', { action: 'project.review_approve', message: 'Project review submitted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+app.post('/api/projects/:id/reject', authenticateToken, requirePermission('projects.review'), async (req, res) => {
+  try {
+    await submitReview(req, res, 'rejected', { action: 'project.review_reject', message: 'Project rejected with feedback' });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+// Oversight Routes
+// Coordinators and auditors see every proposal with its reviews. Area-scoped roles only see
+// proposals from faculty in their own research area.
+const oversightFilter = async (req) => {
+  if (!req.role.areaScoped) return {};
+  const faculty = await User.find({ areaOfResearch: req.user.areaOfResearch }).distinct('_id');
+  return { faculty: { $in: faculty } };
+};
+
+// A pending proposal of the active cycle that the user may oversee, or { error, status }
+const findStuckProject = async (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return { status: 404, error: 'Project not found' };
+  }
+  const project = await Project.findOne({ _id: req.params.id, ...(await oversightFilter(req)) });
+  if (!project) {
+    return { status: 404, error: 'Project not found' };
+  }
+  if (project.status !== 'pending') {
+    return { status: 400, error: 'Only proposals that are still under review can be changed' };
+  }
+  const { error: cycleError } = await checkCycleWindow(null, project.cycle);
+  if (cycleError) {
+    return { status: 400, error: cycleError };
+  }
+  return { project };
+};
+
+const checkAwaitingReviewer = (project, reviewerId) => {
+  if (!project.assignedReviewers.some(id => id.toString() === String(reviewerId))) {
+    return 'That faculty member is not assigned to this proposal';
+  }
+  if (project.reviews.some(review => review.faculty.toString() === String(reviewerId))) {
+    return 'That reviewer has already submitted a review';
+  }
+  return null;
+};
+
+app.get('/api/oversight/projects', authenticateToken, requirePermission('projects.oversee'), async (req, res) => {
+  try {
+    const filter = await resolveCycleFilter(req);
+    if (!filter) {
+      return res.status(400).json({ error: 'Invalid cycle' });
+    }
+    if (req.query.status) {
+      filter.status = { $in: queryList(req.query.status) };
+    }
+    const projects = await Project.find({ ...filter, ...(await oversightFilter(req)) })
+      .populate('faculty', 'name loginId areaOfResearch')
+      .populate({ path: 'assignedReviewers', select: 'name loginId areaOfResearch', options: { withDeleted: true } })
+      .populate({ path: 'reviews.faculty', select: 'name loginId', options: { withDeleted: true } })
+      .populate({ path: 'reviews.overriddenBy', select: 'name loginId', options: { withDeleted: true } })
+      .populate({ path: 'reassignments.removed reassignments.added reassignments.by', select: 'name loginId', options: { withDeleted: true } })
+      .sort({ submittedAt: 1 });
+    const now = Date.now();
+    res.json({
+      areaOfResearch: req.role.areaScoped ? req.user.areaOfResearch : null,
+      projects: projects.map(p => {
+        const project = p.toObject();
+        const reviewed = new Set(p.reviews.filter(r => r.faculty).map(r => r.faculty._id.toString()));
+        project.awaitingReviewers = project.assignedReviewers.filter(r => !reviewed.has(r._id.toString())).map(r => {
+          const deadline = p.reviewDeadlines.find(d => d.reviewer.equals(r._id));
+          return { ...r, dueAt: deadline ? deadline.dueAt : null };
+        });
+        delete project.reviewDeadlines;
+        project.waitingDays = p.status === 'pending' ? Math.floor((now - p.submittedAt.getTime()) / (24 * 60 * 60 * 1000)) : 0;
+        delete project.versions;
+        return project;
+      })
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+// Records a decision on behalf of an assigned reviewer who has not responded
+app.post('/api/oversight/projects/:id/reviews', authenticateToken, requirePermission('reviews.override'), async (req, res) => {
+  try {
+    const { reviewerId, decision } = req.body;
+    if (decision !== 'approved' && decision !== 'rejected') {
+      return res.status(400).json({ error: 'Decision must be approved or rejected' });
+    }
+    const { review, error: reviewError } = await buildReview(req.body, decision, { scoresRequired: false });
+    if (reviewError) {
+      return res.status(400).json({ error: reviewError });
+    }
+    const { project, status, error } = await findStuckProject(req);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    const reviewerError = checkAwaitingReviewer(project, reviewerId);
+    if (reviewerError) {
+      return res.status(400).json({ error: reviewerError });
+    }
+    const reviewed = await addReview(project._id, reviewerId, { ...review, overriddenBy: req.user._id });
+    if (!reviewed) {
+      return res.status(409).json({ error: 'The reviewer responded or was replaced in the meantime. Reload and try again.' });
+    }
+    const decided = await processFinalReview(reviewed);
+    await recordAudit(req, 'project.review_override', { targetType: 'Project', targetId: project._id, before: toAuditSnapshot(project), after: decided });
+    res.json({ message: 'Review recorded on behalf of the reviewer', project: decided });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+// Replaces an assigned reviewer who has not yet reviewed, either with a named reviewer
+// or with the least-loaded eligible one
+app.post('/api/oversight/projects/:id/reassign', authenticateToken, requirePermission('reviews.reassign'), async (req, res) => {
+  try {
+    const { reviewerId, replacementLoginId } = req.body;
+    const { project, status, error } = await findStuckProject(req);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    const reviewerError = checkAwaitingReviewer(project, reviewerId);
+    if (reviewerError) {
+      return res.status(400).json({ error: reviewerError });
+    }
+    const proposer = await User.findById(project.faculty);
+    let replacement;
+    if (replacementLoginId) {
+      replacement = await User.findOne({
+        loginId: String(replacementLoginId),
+        role: { $in: await rolesWithPermission('projects.review') }
+      });
+      if (!replacement) {
+        return res.status(400).json({ error: 'No reviewer found with that login ID' });
+      }
+      if (replacement._id.equals(proposer._id) || project.assignedReviewers.some(id => id.equals(replacement._id))) {
+        return res.status(400).json({ error: 'That faculty member is the proposer or already assigned to this proposal' });
+      }
+      if (isUnavailable(replacement) || hasConflict(replacement, proposer)) {
+        return res.status(400).json({ error: 'That faculty member is on leave or has a conflict of interest with the proposer' });
+      }
+    } else {
+      try {
+        [replacement] = await getNextReviewers(proposer, 1, reviewerExclusions(project));
+      } catch (assignmentError) {
+        return res.status(400).json({ error: assignmentError.message });
+      }
+    }
+    const before = toAuditSnapshot(project);
+    const updated = await replaceReviewer(project, reviewerId, replacement, { reason: 'manual', by: req.user._id });
+    if (!updated) {
+      return res.status(409).json({ error: 'The reviewers of this proposal changed in the meantime. Reload and try again.' });
+    }
+    await recordAudit(req, 'project.reassign_reviewer', {
+      targetType: 'Project', targetId: project._id, before, after: { project: updated, removed: reviewerId, added: replacement._id }
+    });
+    res.json({ message: `Reviewer replaced by ${replacement.name}`, project: updated });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+// Analytics Routes
+// Computed over one cycle (the active one by default). Proposals are limited to the date range by
+// createdAt and applications by appliedAt; area-scoped roles only see their own research area.
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const ratio = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 1000 : null);
+const roundDays = (days) => (days === null ? null : Math.round(days * 10) / 10);
+
+// Approval figures for a group of proposals; time to decision runs from createdAt to the final review
+const summarizeProposals = (projects) => {
+  const counts = { approved: 0, rejected: 0, pending: 0 };
+  const decisionDays = [];
+  projects.forEach(project => {
+    counts[project.status]++;
+    if (project.status !== 'pending' && project.reviews.length > 0) {
+      const finalReviewAt = Math.max(...project.reviews.map(review => new Date(review.reviewedAt).getTime()));
+      decisionDays.push((finalReviewAt - new Date(project.createdAt).getTime()) / DAY_MS);
+    }
+  });
+  const decided = counts.approved + counts.rejected;
+  return {
+    proposals: projects.length,
+    ...counts,
+    approvalRate: ratio(counts.approved, decided),
+    rejectionRate: ratio(counts.rejected, decided),
+    medianDecisionDays: roundDays(median(decisionDays))
+  };
+};
+
+const buildAnalytics = async (req) => {
+  const cycleFilter = await resolveCycleFilter(req);
+  if (!cycleFilter) return null;
+  const areaOfResearch = req.role.areaScoped ? req.user.areaOfResearch : null;
+
+  const projects = await Project.find({ ...cycleFilter, ...(await oversightFilter(req)) })
+    .populate('faculty', 'loginId name areaOfResearch')
+    .select('title faculty status seats seatsAvailable reviews versions.reviews createdAt')
+    .lean();
+  const { createdAt: createdRange } = dateRangeFilter('createdAt', req.query);
+  const proposals = projects.filter(project =>
+    !createdRange ||
+    ((!createdRange.$gte || project.createdAt >= createdRange.$gte) && (!createdRange.$lte || project.createdAt <= createdRange.$lte))
+  );
+
+  const areaGroups = new Map();
+  proposals.forEach(project => {
+    const area = project.faculty ? project.faculty.areaOfResearch : 'Unknown';
+    if (!areaGroups.has(area)) areaGroups.set(area, []);
+    areaGroups.get(area).push(project);
+  });
+  const byArea = [...areaGroups.entries()]
+    .map(([area, group]) => ({ areaOfResearch: area, ...summarizeProposals(group) }))
+    .sort((a, b) => b.proposals - a.proposals || a.areaOfResearch.localeCompare(b.areaOfResearch));
+
+  // projectsReviewed is each reviewer's current number of pending reviews
+  const completedReviews = new Map();
+  proposals.forEach(project => {
+    [...project.reviews, ...(project.versions || []).flatMap(version => version.reviews)].forEach(review => {
+      if (!review.faculty) return;
+      const id = review.faculty.toString();
+      completedReviews.set(id, (completedReviews.get(id) || 0) + 1);
+    });
+  });
+  const reviewerFilter = { role: { $in: await rolesWithPermission('projects.review') } };
+  if (areaOfResearch) reviewerFilter.areaOfResearch = areaOfResearch;
+  const reviewers = (await User.find(reviewerFilter).select('loginId name areaOfResearch projectsReviewed').lean())
+    .map(reviewer => ({
+      loginId: reviewer.loginId,
+      name: reviewer.name,
+      areaOfResearch: reviewer.areaOfResearch,
+      pendingReviews: reviewer.projectsReviewed,
+      completedReviews: completedReviews.get(reviewer._id.toString()) || 0
+    }))
+    .sort((a, b) => b.pendingReviews - a.pendingReviews || b.completedReviews - a.completedReviews || a.loginId.localeCompare(b.loginId));
+
+  const approved = projects.filter(project => project.status === 'approved');
+  const applications = await Application.find({
+    ...cycleFilter,
+    project: { $in: approved.map(project => project._id) },
+    status: { $ne: 'withdrawn' },
+    ...dateRangeFilter('appliedAt', req.query)
+  }).select('student team teamMembers project status').lean();
+  const demand = approved
+    .map(project => {
+      const received = applications.filter(application => application.project.equals(project._id));
+      return {
+        title: project.title,
+        faculty: project.faculty ? project.faculty.loginId : null,
+        areaOfResearch: project.faculty ? project.faculty.areaOfResearch : null,
+        seats: project.seats,
+        seatsAvailable: project.seatsAvailable,
+        applications: received.length,
+        selected: received.filter(application => application.status === 'selected').reduce((sum, a) => sum + seatCount(a), 0),
+        applicationsPerSeat: ratio(received.length, project.seats)
+      };
+    })
+    .sort((a, b) => b.applicationsPerSeat - a.applicationsPerSeat || a.title.localeCompare(b.title));
+
+  // Students who applied in range (to projects in scope) but hold no selection anywhere in the cycle
+  const selections = await Application.find({ ...cycleFilter, status: 'selected' }).select('student team teamMembers').lean();
+  const placed = new Set(selections.flatMap(applicantIds).map(String));
+  const appliedBy = (studentId) => applications.filter(application => applicantIds(application).some(id => id.toString() === studentId));
+  const unplacedIds = [...new Set(applications.flatMap(applicantIds).map(String))].filter(id => !placed.has(id));
+  const unplaced = (await User.find({ _id: { $in: unplacedIds } }).select('loginId name').sort({ loginId: 1 }).lean())
+    .map(student => ({
+      loginId: student.loginId,
+      name: student.name,
+      applications: appliedBy(student._id.toString()).length
+    }));
+  let studentsWithoutApplications = null;
+  if (!areaOfResearch) {
+    const applicants = [
+      ...await Application.distinct('student', cycleFilter),
+      ...await Application.distinct('teamMembers', cycleFilter)
+    ];
+    studentsWithoutApplications = await User.countDocuments({
+      role: { $in: await rolesWithPermission('projects.apply') },
+      _id: { $nin: applicants }
+    });
+  }
+
+  const seats = demand.reduce((sum, project) => sum + project.seats, 0);
+  return {
+    cycle: cycleFilter.cycle || null,
+    from: req.query.from || null,
+    to: req.query.to || null,
+    areaOfResearch,
+    summary: {
+      ...summarizeProposals(proposals),
+      seats,
+      applications: applications.length,
+      applicationsPerSeat: ratio(applications.length, seats),
+      unplacedStudents: unplaced.length,
+      studentsWithoutApplications
+    },
+    byArea,
+    reviewers,
+    demand,
+    unplaced
+  };
+};
+
+const ANALYTICS_REPORTS = {
+  areas: {
+    key: 'byArea',
+    columns: ['areaOfResearch', 'proposals', 'approved', 'rejected', 'pending', 'approvalRate', 'rejectionRate', 'medianDecisionDays']
+  },
+  reviewers: { key: 'reviewers', columns: ['loginId', 'name', 'areaOfResearch', 'pendingReviews', 'completedReviews'] },
+  demand: {
+    key: 'demand',
+    columns: ['title', 'faculty', 'areaOfResearch', 'seats', 'seatsAvailable', 'applications', 'selected', 'applicationsPerSeat']
+  },
+  unplaced: { key: 'unplaced', columns: ['loginId', 'name', 'applications'] }
+};
+
+app.get('/api/analytics', authenticateToken, requirePermission('analytics.view'), async (req, res) => {
+  try {
+    const analytics = await buildAnalytics(req);
+    if (!analytics) {
+      return res.status(400).json({ error: 'Invalid cycle' });
+    }
+    res.json(analytics);
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+app.get('/api/analytics/export', authenticateToken, requirePermission('analytics.view'), async (req, res) => {
+  try {
+    const reportName = req.query.report || 'areas';
+    const report = ANALYTICS_REPORTS[reportName];
+    if (!report) {
+      return res.status(400).json({ error: `Unknown report. Use one of: ${Object.keys(ANALYTICS_REPORTS).join(', ')}` });
+    }
+    const analytics = await buildAnalytics(req);
+    if (!analytics) {
+      return res.status(400).json({ error: 'Invalid cycle' });
+    }
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="analytics-${reportName}.csv"`);
+    res.send(toCsv(report.columns, analytics[report.key]));
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+// Team Routes
+app.post('/api/teams', authenticateToken, requirePermission('projects.apply'), async (req, res) => {
+  try {
+    const { cycle, error: cycleError } = await checkCycleWindow(null);
+    if (cycleError) {
+      return res.status(400).json({ error: cycleError });
+    }
+    const name = (req.body.name || '').trim();
+    if (!name || name.length > 60) {
+      return res.status(400).json({ error: 'Team name is required and must not exceed 60 characters' });
+    }
+    if (await findTeamOf(req.user._id, cycle._id)) {
+      return res.status(400).json({ error: 'You are already in a team for this cycle' });
+    }
+    const now = new Date();
+    const team = new Team({
+      name,
+      cycle: cycle._id,
+      leader: req.user._id,
+      members: [{ student: req.user._id, status: 'accepted', invitedAt: now, respondedAt: now }]
+    });
+    await team.save();
+    // Creating a team answers any invitations the student had pending
+    await Team.updateMany(
+      { cycle: cycle._id, _id: { $ne: team._id } },
+      { $pull: { members: { student: req.user._id, status: 'invited' } } }
+    );
+    await recordAudit(req, 'team.create', { targetType: 'Team', targetId: team._id, after: team });
+    res.status(201).json({ message: 'Team created', team });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+// The student's team and pending invitations in the selected cycle
+app.get('/api/teams/my', authenticateToken, requirePermission('projects.apply'), async (req, res) => {
+  try {
+    const filter = await resolveCycleFilter(req);
+    if (!filter) {
+      return res.status(400).json({ error: 'Invalid cycle' });
+    }
+    if (!filter.cycle) {
+      return res.json({ team: null, invitations: [], maxTeamSize: MAX_TEAM_SIZE });
+    }
+    const team = await findTeamOf(req.user._id, filter.cycle).populate('members.student', 'name loginId');
+    const invitations = await Team.find({
+      ...filter,
+      members: { $elemMatch: { student: req.user._id, status: 'invited' } }
+    }).populate('leader', 'name loginId').select('name leader members');
+    res.json({
+      team: team && { ...team.toObject(), locked: !!await hasOpenTeamApplications(team) },
+      invitations: invitations.map(invitation => ({
+        _id: invitation._id,
+        name: invitation.name,
+        leader: invitation.leader,
+        size: teamMemberIds(invitation).length
+      })),
+      maxTeamSize: MAX_TEAM_SIZE
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+app.post('/api/teams/:id/invite', authenticateToken, requirePermission('projects.apply'), async (req, res) => {
+  try {
+    const team = await Team.findById(req.params.id);
+    if (!team || !team.leader.equals(req.user._id)) {
+      return res.status(403).json({ error: 'Only the team leader can invite members' });
+    }
+    const { error: cycleError } = await checkCycleWindow(null, team.cycle);
+    if (cycleError) {
+      return res.status(400).json({ error: cycleError });
+    }
+    if (await hasOpenTeamApplications(team)) {
+      return res.status(400).json({ error: 'Team membership cannot change while the team has open applications' });
+    }
+    if (team.members.length >= MAX_TEAM_SIZE) {
+      return res.status(400).json({ error: `A team can have at most ${MAX_TEAM_SIZE} members, including pending invitations` });
+    }
+    const student = await User.findOne({ loginId: (req.body.loginId || '').trim() });
+    if (!student || !(await rolesWithPermission('projects.apply')).includes(student.role)) {
+      return res.status(404).json({ error: 'No student with that login ID' });
+    }
+    if (team.members.some(member => member.student.equals(student._id))) {
+      return res.status(400).json({ error: 'This student is already in or invited to the team' });
+    }
+    if (await findTeamOf(student._id, team.cycle)) {
+      return res.status(400).json({ error: 'This student is already in another team' });
+    }
+    const before = toAuditSnapshot(team);
+    team.members.push({ student: student._id });
+    await team.save();
+    await recordAudit(req, 'team.invite', { targetType: 'Team', targetId: team._id, before, after: team });
+    await notify([student._id], 'team_invite', `${req.user.name} (${req.user.loginId}) invited you to join team "${team.name}"`);
+    res.json({ message: 'Invitation sent', team });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+app.post('/api/teams/:id/accept', authenticateToken, requirePermission('projects.apply'), async (req, res) => {
+  try {
+    const team = await Team.findById(req.params.id);
+    const invitation = team && team.members.find(member => member.student.equals(req.user._id) && member.status === 'invited');
+    if (!invitation) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+    const { error: cycleError } = await checkCycleWindow(null, team.cycle);
+    if (cycleError) {
+      return res.status(400).json({ error: cycleError });
+    }
+    if (await hasOpenTeamApplications(team)) {
+      return res.status(400).json({ error: 'This team has open applications, so its membership cannot change right now' });
+    }
+    if (await findTeamOf(req.user._id, team.cycle)) {
+      return res.status(400).json({ error: 'Leave your current team before joining another' });
+    }
+    const before = toAuditSnapshot(team);
+    invitation.status = 'accepted';
+    invitation.respondedAt = new Date();
+    await team.save();
+    await Team.updateMany(
+      { cycle: team.cycle, _id: { $ne: team._id } },
+      { $pull: { members: { student: req.user._id, status: 'invited' } } }
+    );
+    await recordAudit(req, 'team.accept', { targetType: 'Team', targetId: team._id, before, after: team });
+    await notify([team.leader], 'team_invite', `${req.user.name} (${req.user.loginId}) joined team "${team.name}"`);
+    res.json({ message: `You joined team "${team.name}"`, team });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+app.post('/api/teams/:id/decline', authenticateToken, requirePermission('projects.apply'), async (req, res) => {
+  try {
+    const team = await Team.findById(req.params.id);
+    if (!team || !team.members.some(member => member.student.equals(req.user._id) && member.status === 'invited')) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+    const before = toAuditSnapshot(team);
+    team.members = team.members.filter(member => !member.student.equals(req.user._id));
+    await team.save();
+    await recordAudit(req, 'team.decline', { targetType: 'Team', targetId: team._id, before, after: team });
+    await notify([team.leader], 'team_invite', `${req.user.name} (${req.user.loginId}) declined to join team "${team.name}"`);
+    res.json({ message: 'Invitation declined' });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+app.post('/api/teams/:id/leave', authenticateToken, requirePermission('projects.apply'), async (req, res) => {
+  try {
+    const team = await Team.findById(req.params.id);
+    if (!team || !teamMemberIds(team).some(id => id.equals(req.user._id))) {
+      return res.status(404).json({ error: 'You are not a member of this team' });
+    }
+    if (team.leader.equals(req.user._id)) {
+      return res.status(400).json({ error: 'The team leader cannot leave; disband the team instead' });
+    }
+    const { error: cycleError } = await checkCycleWindow(null, team.cycle);
+    if (cycleError) {
+      return res.status(400).json({ error: cycleError });
+    }
+    if (await hasOpenTeamApplications(team)) {
+      return res.status(400).json({ error: 'Team membership cannot change while the team has open applications' });
+    }
+    const before = toAuditSnapshot(team);
+    team.members = team.members.filter(member => !member.student.equals(req.user._id));
+    await team.save();
+    await recordAudit(req, 'team.leave', { targetType: 'Team', targetId: team._id, before, after: team });
+    await notify([team.leader], 'team_invite', `${req.user.name} (${req.user.loginId}) left team "${team.name}"`);
+    res.json({ message: `You left team "${team.name}"` });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+app.delete('/api/teams/:id', authenticateToken, requirePermission('projects.apply'), async (req, res) => {
+  try {
+    const team = await Team.findById(req.params.id);
+    if (!team || !team.leader.equals(req.user._id)) {
+      return res.status(403).json({ error: 'Only the team leader can disband the team' });
+    }
+    const { error: cycleError } = await checkCycleWindow(null, team.cycle);
+    if (cycleError) {
+      return res.status(400).json({ error: cycleError });
+    }
+    if (await hasOpenTeamApplications(team)) {
+      return res.status(400).json({ error: 'Withdraw the team\'s open applications before disbanding it' });
+    }
+    const members = teamMemberIds(team).filter(id => !id.equals(req.user._id));
+    await team.deleteOne();
+    await recordAudit(req, 'team.disband', { targetType: 'Team', targetId: team._id, before: team });
+    await notify(members, 'team_invite', `Team "${team.name}" was disbanded by its leader`);
+    res.json({ message: 'Team disbanded' });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+// Application Routes
+app.post('/api/applications', authenticateToken, requirePermission('projects.apply'), async (req, res) => {
+  try {
+    const { projectId, statement, asTeam } = req.body;
+    if (statement !== undefined && statement !== null && typeof statement !== 'string') {
+      return res.status(400).json({ error: 'Statement of purpose must be text.' });
+    }
+    if (statement && statement.length > 2500) {
+      return res.status(400).json({ error: 'Statement of purpose must not exceed 500 words.' });
+    }
+    const project = await Project.findById(projectId);
+    if (!project || project.status !== 'approved') {
+      return res.status(400).json({ error: 'Cannot apply to this project at this time.' });
+    }
+    const { error: cycleError } = await checkCycleWindow('application', project.cycle);
+    if (cycleError) {
+      return res.status(400).json({ error: cycleError });
+    }
+    // A team applies through its leader and counts as a single applicant towards the limit of 3
+    let team = null;
+    let members = [req.user._id];
+    if (asTeam) {
+      team = await findTeamOf(req.user._id, project.cycle);
+      if (!team || !team.leader.equals(req.user._id)) {
+        return res.status(400).json({ error: 'Only a team leader can apply on behalf of a team' });
+      }
+      members = teamMemberIds(team);
+      if (members.length < 2) {
+        return res.status(400).json({ error: 'Your team needs at least one other member who has accepted the invitation' });
+      }
+      if (members.length > project.seats) {
+        return res.status(400).json({ error: `This project has ${project.seats} seat(s), too few for your team of ${members.length}` });
+      }
+    }
+    if (await Application.exists({ ...applicantFilter(members), cycle: project.cycle || null, status: 'selected' })) {
+      return res.status(400).json({
+        error: team ? 'A member of your team has already been selected for a project' : 'You have already been selected for a project'
+      });
+    }
+    const ownApplications = team ? { team: team._id } : { student: req.user._id, team: null };
+    const applicationCount = await Application.countDocuments({
+      ...ownApplications,
+      cycle: project.cycle || null,
+      status: { $ne: 'withdrawn' }
+    });
+    if (applicationCount >= 3) {
+      return res.status(400).json({ error: 'Cannot apply to more than 3 projects' });
+    }
+    const existingApplication = await Application.findOne({ ...ownApplications, project: projectId });
+    if (existingApplication) {
+      return res.status(400).json({ error: 'Already applied to this project' });
+    }
+    // A project without enough free seats takes further applicants onto its waitlist
+    const waitlisted = project.seatsAvailable < members.length;
+    const application = new Application({
+      student: req.user._id,
+      project: projectId,
+      team: team ? team._id : undefined,
+      teamMembers: team ? members : [],
+      cycle: project.cycle,
+      statement,
+      status: waitlisted ? 'waitlisted' : 'pending',
+      waitlistPosition: waitlisted ? await nextWaitlistPosition(project._id) : undefined
+    });
+    await application.save();
+    await recordAudit(req, 'application.create', { targetType: 'Application', targetId: application._id, after: application });
+    emitApplicationUpdate(application, project.faculty);
+    const applicant = team ? `Team "${team.name}" (${members.length} students)` : `${req.user.name} (${req.user.loginId})`;
+    await notify([project.faculty], 'student_applied',
+      `${applicant} ${waitlisted ? 'joined the waitlist of' : 'applied to'} "${project.title}"`,
+      { project: project._id, application: application._id });
+    res.status(201).json(application);
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+app.get('/api/applications/my', authenticateToken, requirePermission('projects.apply'), async (req, res) => {
+  try {
+    const filter = await resolveCycleFilter(req);
+    if (!filter) {
+      return res.status(400).json({ error: 'Invalid cycle' });
+    }
+    const applications = await Application.find({ ...filter, ...applicantFilter([req.user._id]) })
+      .populate('project', 'title abstract timeline')
+      .populate('team', 'name')
+      .populate('teamMembers', 'name loginId')
+      .sort({ appliedAt: -1 });
+    res.json(await Promise.all(applications.map(async application => {
+      const result = application.toObject();
+      // Team members see their team's applications, but only the leader manages them
+      result.ownApplication = application.student.equals(req.user._id);
+      if (application.status === 'waitlisted') {
+        result.waitlistRank = 1 + await Application.countDocuments({
+          project: application.project._id,
+          status: 'waitlisted',
+          waitlistPosition: { $lt: application.waitlistPosition }
+        });
+      }
+      return result;
+    })));
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+app.get('/api/applications/faculty', authenticateToken, requirePermission('projects.propose'), async (req, res) => {
+  try {
+    const filter = await resolveCycleFilter(req);
+    if (!filter) {
+      return res.status(400).json({ error: 'Invalid cycle' });
     }
-    const token = jwt.sign({ userId: user._id, role: user.role }, JWT_SECRET);
-    res.json({ 
-      token, 
-      user: { 
-        id: user._id, 
-        loginId: user.loginId, 
-        role: user.role, 
-        name: user.name,
-        mustChangePassword: user.mustChangePassword
-      } 
-    });
+    const projects = await Project.find({ ...filter, faculty: req.user._id }).select('_id');
+    const projectIds = projects.map(p => p._id);
+    const applications = await Application.find({ project: { $in: projectIds } })
+      .populate('student', APPLICANT_PROFILE_FIELDS)
+      .populate('project', 'title seats seatsAvailable')
+      .populate('team', 'name')
+      .populate('teamMembers', 'name loginId')
+      .sort({ appliedAt: -1 });
+    res.json(applications);
   } catch (error) {
     res.status(500).json({ error: 'Server error: ' + error.message });
   }
 });
 
-app.post('/api/auth/change-password', authenticateToken, async (req, res) => {
+// CV download for the faculty who owns the project (and for the applicant themselves)
+app.get('/api/applications/:id/cv', authenticateToken, async (req, res) => {
   try {
-    const { currentPassword, newPassword } = req.body;
-    if (req.user.role === 'admin') {
-      return res.status(403).json({ error: 'Admin cannot change password through this endpoint' });
+    const application = await Application.findById(req.params.id).populate('project', 'faculty');
+    const isOwner = application && application.project.faculty.toString() === req.user._id.toString();
+    const isApplicant = application && application.student.toString() === req.user._id.toString();
+    if (!isOwner && !isApplicant) {
+      return res.status(403).json({ error: 'Not authorized for this application' });
     }
-    const isValidPassword = await bcrypt.compare(currentPassword, req.user.password);
-    if (!isValidPassword) {
-      return res.status(400).json({ error: 'Current password is incorrect' });
+    const student = await User.findById(application.student);
+    const cv = student && student.profile && student.profile.cv;
+    if (!cv || !cv.path) {
+      return res.status(404).json({ error: 'This student has not uploaded a CV' });
     }
-    const hashedPassword = await bcrypt.hash(newPassword, 10);
-    
-    // Robust save method
-    const userToUpdate = await User.findById(req.user._id);
-    userToUpdate.password = hashedPassword;
-    userToUpdate.mustChangePassword = false;
-    await userToUpdate.save();
-
-    res.json({ message: 'Password changed successfully' });
+    res.download(cv.path, cv.originalName);
   } catch (error) {
     res.status(500).json({ error: 'Server error: ' + error.message });
   }
 });
 
-// Admin Routes
-app.post('/api/admin/create-user', authenticateToken, async (req, res) => {
+app.post('/api/applications/:id/select', authenticateToken, requirePermission('projects.propose'), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'Only admin can create users' });
+    const application = await Application.findById(req.params.id).populate('project');
+    if (!application || application.project.faculty.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'Not authorized for this application' });
     }
-    const { loginId, name, role, areaOfResearch, dateOfBirth } = req.body;
-    if (role === 'student' && !/^\d{2}[A-Z]{3}\d{5}$/.test(loginId)) {
-        return res.status(400).json({ error: 'Invalid format for Registration Number. Use YYBBBNNNNN.' });
+    const { error: cycleError } = await checkCycleWindow(null, application.cycle);
+    if (cycleError) {
+      return res.status(400).json({ error: cycleError });
     }
-    if (role === 'faculty' && !/^\d{6}$/.test(loginId)) {
-        return res.status(400).json({ error: 'Invalid format for Login ID. Use 6 digits only.' });
+    if (!OPEN_APPLICATION_STATUSES.includes(application.status)) {
+      return res.status(400).json({ error: `This application is already ${application.status}` });
     }
-    const existingUser = await User.findOne({ loginId });
-    if (existingUser) {
-      return res.status(400).json({ error: 'Login ID already exists' });
+    const existingSelection = await Application.findOne({
+      ...applicantFilter(applicantIds(application)),
+      cycle: application.cycle || null,
+      status: 'selected'
+    });
+    if (existingSelection) {
+      return res.status(400).json({
+        error: application.team ? 'A member of this team is already selected for another project' : 'Student already selected for another project'
+      });
     }
-    let defaultPassword;
-    if (role === 'student') {
-      const date = new Date(dateOfBirth);
-      const day = String(date.getDate()).padStart(2, '0');
-      const month = String(date.getMonth() + 1).padStart(2, '0');
-      const year = String(date.getFullYear()).slice(-2);
-      defaultPassword = `${day}${month}${year}`;
-    } else if (role === 'faculty') {
-      const areaPrefix = areaOfResearch.replace(/\s+/g, '').substring(0, 4);
-      const namePrefix = name.replace(/\s+/g, '').substring(0, 3);
-      defaultPassword = areaPrefix + namePrefix;
-    }
-    const hashedPassword = await bcrypt.hash(defaultPassword, 10);
-    const userData = {
-      loginId,
-      password: hashedPassword,
-      role,
-      name,
-      mustChangePassword: true
-    };
-    if (role === 'faculty') {
-      userData.areaOfResearch = areaOfResearch;
+    // The whole team is seated or nobody is
+    const project = await takeSeat(application.project._id, seatCount(application));
+    if (!project) {
+      return res.status(400).json({
+        error: application.team
+          ? `There are not enough free seats for this team of ${seatCount(application)}. Add it to the waitlist instead.`
+          : 'Every seat on this project is taken. Add the student to the waitlist instead.'
+      });
     }
-    const user = new User(userData);
-    await user.save();
-    res.status(201).json({ 
-      message: 'User created successfully',
-      user: { loginId, name, role, defaultPassword } 
+    const before = toAuditSnapshot(application);
+    const selection = await confirmSelection(application, project, `You have been selected for "${project.title}"`);
+    if (!selection) {
+      // Another request selected, rejected or withdrew it, or selected one of its students, first
+      await releaseSeat(project._id, seatCount(application));
+      const current = await Application.findById(application._id);
+      return res.status(409).json({
+        error: current && current.status !== application.status
+          ? `This application is already ${current.status}`
+          : application.team ? 'A member of this team is already selected for another project' : 'Student already selected for another project'
+      });
+    }
+    await recordAudit(req, 'application.select', {
+      targetType: 'Application', targetId: application._id, before, after: selection
     });
+    res.json({ message: 'Student selected successfully', application: selection.application });
   } catch (error) {
     res.status(500).json({ error: 'Server error: ' + error.message });
   }
 });
 
-app.get('/api/admin/users', authenticateToken, async (req, res) => {
+app.post('/api/applications/:id/reject', authenticateToken, requirePermission('projects.propose'), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'Only admin can view users' });
+    const application = await Application.findById(req.params.id).populate('project');
+    if (!application || application.project.faculty.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'Not authorized for this application' });
     }
-    const users = await User.find({ role: { $ne: 'admin' } })
-      .select('loginId name role areaOfResearch createdAt')
-      .sort({ createdAt: -1 });
-    res.json(users);
+    const { error: cycleError } = await checkCycleWindow(null, application.cycle);
+    if (cycleError) {
+      return res.status(400).json({ error: cycleError });
+    }
+    if (application.status === 'rejected' || application.status === 'withdrawn') {
+      return res.status(400).json({ error: `This application is already ${application.status}` });
+    }
+    const before = toAuditSnapshot(application);
+    const rejected = await transitionApplication(application, 'rejected');
+    if (!rejected) {
+      return res.status(409).json({ error: 'This application was changed by another request. Reload and try again.' });
+    }
+    if (application.status === 'selected') {
+      await releaseSeat(application.project._id, seatCount(application));
+    }
+    await recordAudit(req, 'application.reject', { targetType: 'Application', targetId: application._id, before, after: rejected });
+    emitApplicationUpdate(rejected, req.user._id);
+    const project = application.project;
+    await notify(applicantIds(application), 'application_rejected',
+      `Your application to "${project.title}" was not successful`, { project: project._id, application: application._id });
+    res.json({ message: 'Application rejected successfully', application: rejected });
   } catch (error) {
     res.status(500).json({ error: 'Server error: ' + error.message });
   }
 });
 
-app.delete('/api/admin/user/:id', authenticateToken, async (req, res) => {
+// Waitlist Routes
+app.post('/api/applications/:id/waitlist', authenticateToken, requirePermission('projects.propose'), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'Only admin can delete users' });
+    const application = await Application.findById(req.params.id).populate('project');
+    if (!application || application.project.faculty.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'Not authorized for this application' });
     }
-    const user = await User.findById(req.params.id);
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+    const { error: cycleError } = await checkCycleWindow(null, application.cycle);
+    if (cycleError) {
+      return res.status(400).json({ error: cycleError });
+    }
+    if (application.status !== 'pending') {
+      return res.status(400).json({ error: 'Only pending applications can be waitlisted' });
     }
-    if (user.role === 'faculty') {
-      await Project.deleteMany({ faculty: user._id });
-    } else if (user.role === 'student') {
-      await Application.deleteMany({ student: user._id });
+    if (application.project.seatsAvailable >= seatCount(application)) {
+      return res.status(400).json({ error: 'This project still has enough free seats. Select the applicant instead.' });
     }
-    await User.findByIdAndDelete(req.params.id);
-    res.json({ message: 'User and related data deleted successfully' });
+    const before = toAuditSnapshot(application);
+    const waitlisted = await Application.findOneAndUpdate(
+      { _id: application._id, status: 'pending' },
+      { status: 'waitlisted', waitlistPosition: await nextWaitlistPosition(application.project._id) },
+      { new: true }
+    );
+    if (!waitlisted) {
+      return res.status(409).json({ error: 'This application was changed by another request. Reload and try again.' });
+    }
+    await recordAudit(req, 'application.waitlist', { targetType: 'Application', targetId: application._id, before, after: waitlisted });
+    emitApplicationUpdate(waitlisted, req.user._id);
+    await notify(applicantIds(application), 'application_waitlisted',
+      `You are on the waitlist for "${application.project.title}"`, { project: application.project._id, application: application._id });
+    res.json({ message: 'Student added to the waitlist', application: waitlisted });
   } catch (error) {
     res.status(500).json({ error: 'Server error: ' + error.message });
   }
 });
 
-app.post('/api/admin/reset-user/:id', authenticateToken, async (req, res) => {
+// Reorders a project's waitlist; every waitlisted application must be listed exactly once
+app.put('/api/projects/:id/waitlist', authenticateToken, requirePermission('projects.propose'), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'Only admin can reset users' });
+    const project = await Project.findById(req.params.id);
+    if (!project || project.faculty.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'Not authorized for this project' });
     }
-    const user = await User.findById(req.params.id);
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+    const { error: cycleError } = await checkCycleWindow(null, project.cycle);
+    if (cycleError) {
+      return res.status(400).json({ error: cycleError });
     }
-    if (user.role === 'faculty') {
-      await Project.deleteMany({ faculty: user._id });
-      user.projectsReviewed = 0;
-    } else if (user.role === 'student') {
-      await Application.deleteMany({ student: user._id });
+    const { applicationIds } = req.body;
+    const waitlist = await Application.find({ project: project._id, status: 'waitlisted' }).sort({ waitlistPosition: 1 });
+    const waitlistIds = new Set(waitlist.map(application => application._id.toString()));
+    if (!Array.isArray(applicationIds) || applicationIds.length !== waitlist.length ||
+        new Set(applicationIds).size !== applicationIds.length || !applicationIds.every(id => waitlistIds.has(String(id)))) {
+      return res.status(400).json({ error: 'Provide every waitlisted application of this project, in the new order' });
     }
-    user.mustChangePassword = true;
-    await user.save();
-    res.json({ message: 'User data reset successfully' });
+    await Promise.all(applicationIds.map((id, index) =>
+      Application.updateOne({ _id: id }, { waitlistPosition: index + 1 })
+    ));
+    await recordAudit(req, 'project.reorder_waitlist', {
+      targetType: 'Project', targetId: project._id,
+      before: { waitlist: waitlist.map(application => application._id) }, after: { waitlist: applicationIds }
+    });
+    res.json({ message: 'Waitlist order saved' });
   } catch (error) {
     res.status(500).json({ error: 'Server error: ' + error.message });
   }
 });
-// Project Routes
-app.get('/api/projects', authenticateToken, async (req, res) => {
+
+// A student withdraws an application; a selected student's seat goes to the waitlist
+app.post('/api/applications/:id/withdraw', authenticateToken, requirePermission('projects.apply'), async (req, res) => {
   try {
-    let filter = {};
-    if (req.user.role === 'student') {
-      filter = { status: 'approved' };
+    const application = await Application.findById(req.params.id).populate('project', 'title faculty');
+    if (!application || application.student.toString() !== req.user._id.toString()) {
+      const teamMember = application && application.team && applicantIds(application).some(id => id.equals(req.user._id));
+      return res.status(403).json({
+        error: teamMember ? 'Only the team leader can withdraw a team application' : 'Not authorized for this application'
+      });
     }
-    const projects = await Project.find(filter)
-      .populate('faculty', 'name loginId')
-      .sort({ createdAt: -1 });
-    res.json(projects);
+    const { error: cycleError } = await checkCycleWindow(null, application.cycle);
+    if (cycleError) {
+      return res.status(400).json({ error: cycleError });
+    }
+    if (application.status === 'rejected' || application.status === 'withdrawn') {
+      return res.status(400).json({ error: `This application is already ${application.status}` });
+    }
+    const before = toAuditSnapshot(application);
+    const withdrawn = await transitionApplication(application, 'withdrawn', { unset: ['studentRank', 'facultyRank'] });
+    if (!withdrawn) {
+      return res.status(409).json({ error: 'This application was changed by another request. Reload and try again.' });
+    }
+    if (application.status === 'selected') {
+      await releaseSeat(application.project._id, seatCount(application));
+    }
+    await recordAudit(req, 'application.withdraw', { targetType: 'Application', targetId: application._id, before, after: withdrawn });
+    emitApplicationUpdate(withdrawn, application.project.faculty);
+    await notify([application.project.faculty, ...applicantIds(application).filter(id => !id.equals(req.user._id))], 'application_withdrawn',
+      `${req.user.name} (${req.user.loginId}) withdrew ${application.team ? 'the team application to' : 'from'} "${application.project.title}"`,
+      { project: application.project._id, application: application._id });
+    res.json({ message: 'Application withdrawn', application: withdrawn });
   } catch (error) {
     res.status(500).json({ error: 'Server error: ' + error.message });
   }
 });
 
-app.post('/api/projects', authenticateToken, async (req, res) => {
+// Preference Routes
+app.put('/api/applications/rankings', authenticateToken, requirePermission('projects.apply'), async (req, res) => {
   try {
-    if (req.user.role !== 'faculty') {
-      return res.status(403).json({ error: 'Only faculty can create projects' });
+    const { applicationIds } = req.body;
+    if (!Array.isArray(applicationIds) || applicationIds.length === 0 || applicationIds.length > 3) {
+      return res.status(400).json({ error: 'Provide between 1 and 3 application IDs in order of preference' });
     }
-    const { title, abstract, timeline, seats } = req.body;
-    if (abstract.length > 2500) {
-      return res.status(400).json({ error: 'Abstract cannot exceed 500 words (approx. 2500 characters)' });
+    if (new Set(applicationIds).size !== applicationIds.length) {
+      return res.status(400).json({ error: 'Each application can only be ranked once' });
     }
-    const projectCount = await Project.countDocuments({
-      faculty: { $in: await User.find({ areaOfResearch: req.user.areaOfResearch }).distinct('_id') }
+    const { cycle, error: cycleError } = await checkCycleWindow();
+    if (cycleError) {
+      return res.status(400).json({ error: cycleError });
+    }
+    const applications = await Application.find({
+      _id: { $in: applicationIds },
+      student: req.user._id,
+      cycle: cycle._id,
+      status: 'pending'
     });
-    const reviewers = await getNextReviewers(req.user.areaOfResearch, req.user._id, projectCount);
-    const overloadedReviewer = reviewers.find(r => r.projectsReviewed >= 7);
-    if (overloadedReviewer) {
-      return res.status(400).json({ error: 'Project submission temporarily unavailable. High volume of projects currently under review.' });
+    if (applications.length !== applicationIds.length) {
+      return res.status(400).json({ error: 'You can only rank your own pending applications in the active cycle' });
     }
-    const project = new Project({
-      title,
-      abstract,
-      timeline,
-      seats,
-      seatsAvailable: seats,
-      faculty: req.user._id,
-      status: 'pending',
-      assignedReviewers: reviewers.map(r => r._id)
+    const previouslyRanked = await Application.find({ student: req.user._id, cycle: cycle._id, studentRank: { $exists: true } })
+      .sort({ studentRank: 1 });
+    await Application.updateMany({ student: req.user._id, cycle: cycle._id }, { $unset: { studentRank: 1 } });
+    await Promise.all(applicationIds.map((id, index) =>
+      Application.updateOne({ _id: id }, { studentRank: index + 1 })
+    ));
+    await recordAudit(req, 'application.rank_preferences', {
+      targetType: 'User', targetId: req.user._id, before: { ranked: previouslyRanked.map(app => app._id) }, after: { ranked: applicationIds }
     });
-    await project.save();
-    await User.updateMany({ _id: { $in: reviewers.map(r => r._id) } }, { $inc: { projectsReviewed: 1 } });
-    await project.populate('faculty', 'name loginId');
-    res.status(201).json(project);
+    res.json({ message: 'Preferences saved successfully' });
   } catch (error) {
     res.status(500).json({ error: 'Server error: ' + error.message });
   }
 });
 
-app.get('/api/projects/my', authenticateToken, async (req, res) => {
+app.put('/api/projects/:id/rankings', authenticateToken, requirePermission('projects.propose'), async (req, res) => {
   try {
-    if (req.user.role !== 'faculty') {
-      return res.status(403).json({ error: 'Only faculty can access this endpoint' });
+    const project = await Project.findById(req.params.id);
+    if (!project || project.faculty.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'Not authorized for this project' });
     }
-    const projects = await Project.find({ faculty: req.user._id })
-      .populate('faculty', 'name loginId')
-      .populate('reviews.faculty', 'name loginId')
-      .sort({ createdAt: -1 });
-    res.json(projects);
+    const { error: cycleError } = await checkCycleWindow(null, project.cycle);
+    if (cycleError) {
+      return res.status(400).json({ error: cycleError });
+    }
+    const { applicationIds } = req.body;
+    if (!Array.isArray(applicationIds) || new Set(applicationIds).size !== applicationIds.length) {
+      return res.status(400).json({ error: 'Provide the applicant application IDs in order of preference' });
+    }
+    const applications = await Application.find({ _id: { $in: applicationIds }, project: project._id, status: 'pending' });
+    if (applications.length !== applicationIds.length) {
+      return res.status(400).json({ error: 'You can only rank pending applications to this project' });
+    }
+    const previouslyRanked = await Application.find({ project: project._id, facultyRank: { $exists: true } }).sort({ facultyRank: 1 });
+    await Application.updateMany({ project: project._id }, { $unset: { facultyRank: 1 } });
+    await Promise.all(applicationIds.map((id, index) =>
+      Application.updateOne({ _id: id }, { facultyRank: index + 1 })
+    ));
+    await recordAudit(req, 'project.rank_applicants', {
+      targetType: 'Project', targetId: project._id,
+      before: { ranked: previouslyRanked.map(app => app._id) }, after: { ranked: applicationIds }
+    });
+    res.json({ message: 'Applicant ranking saved successfully' });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+// Matching Routes
+const populateMatchingRun = (query) => query
+  .populate('assignments.student', 'name loginId')
+  .populate('assignments.project', 'title')
+  .populate('unmatchedStudents', 'name loginId');
+
+app.get('/api/admin/matching', authenticateToken, requirePermission('matching.run'), async (req, res) => {
+  try {
+    const runs = await populateMatchingRun(MatchingRun.find().sort({ createdAt: -1 }).limit(10));
+    res.json(runs);
   } catch (error) {
     res.status(500).json({ error: 'Server error: ' + error.message });
   }
 });
 
-app.get('/api/projects/review', authenticateToken, async (req, res) => {
+app.post('/api/admin/matching/preview', authenticateToken, requirePermission('matching.run'), async (req, res) => {
   try {
-    if (req.user.role !== 'faculty') {
-      return res.status(403).json({ error: 'Only faculty can review projects' });
+    const { cycle, error: cycleError } = await checkCycleWindow();
+    if (cycleError) {
+      return res.status(400).json({ error: cycleError });
     }
-    const projects = await Project.find({
+    const selectedStudents = [
+      ...await Application.find({ cycle: cycle._id, status: 'selected' }).distinct('student'),
+      ...await Application.find({ cycle: cycle._id, status: 'selected' }).distinct('teamMembers')
+    ];
+    // Team applications are left to the faculty, since matching places one student per application
+    const applications = await Application.find({
+      cycle: cycle._id,
       status: 'pending',
-      assignedReviewers: req.user._id,
-      'reviews.faculty': { $ne: req.user._id }
-    })
-    .populate('faculty', 'name loginId areaOfResearch')
-    .sort({ createdAt: 1 });
-    res.json(projects);
+      team: null,
+      student: { $nin: selectedStudents }
+    });
+    const projects = await Project.find({ cycle: cycle._id, status: 'approved' });
+    const capacities = new Map(projects.map(project => [project._id.toString(), project.seatsAvailable]));
+
+    const { assignments, unmatchedStudents } = runStableMatching(applications, capacities);
+    await MatchingRun.updateMany({ cycle: cycle._id, status: 'preview' }, { status: 'discarded' });
+    const run = new MatchingRun({
+      cycle: cycle._id,
+      createdBy: req.user._id,
+      assignments: assignments.map(app => ({ application: app._id, student: app.student, project: app.project })),
+      unmatchedStudents
+    });
+    await run.save();
+    await recordAudit(req, 'matching.preview', { targetType: 'MatchingRun', targetId: run._id, after: run });
+    res.status(201).json(await populateMatchingRun(MatchingRun.findById(run._id)));
   } catch (error) {
     res.status(500).json({ error: 'Server error: ' + error.message });
   }
 });
 
-async function processFinalReview(project) {
-  if (project.reviews.length === project.assignedReviewers.length) {
-    const hasRejection = project.reviews.some(review => review.decision === 'rejected');
-    project.status = hasRejection ? 'rejected' : 'approved';
-    await User.updateMany(
-        { _id: { $in: project.assignedReviewers } },
-        { $inc: { projectsReviewed: -1 } }
+app.post('/api/admin/matching/:id/commit', authenticateToken, requirePermission('matching.run'), async (req, res) => {
+  try {
+    const run = await MatchingRun.findById(req.params.id);
+    if (!run) return res.status(404).json({ error: 'Matching run not found' });
+    if (run.status !== 'preview') {
+      return res.status(400).json({ error: `This matching run has already been ${run.status}` });
+    }
+    const { error: cycleError } = await checkCycleWindow(null, run.cycle);
+    if (cycleError) {
+      return res.status(400).json({ error: cycleError });
+    }
+    const stillPending = await Application.countDocuments({
+      _id: { $in: run.assignments.map(a => a.application) },
+      status: 'pending'
+    });
+    if (stillPending !== run.assignments.length) {
+      return res.status(409).json({ error: 'Applications have changed since this preview. Please run a new preview.' });
+    }
+    const seatsNeeded = new Map();
+    run.assignments.forEach(a => seatsNeeded.set(a.project.toString(), (seatsNeeded.get(a.project.toString()) || 0) + 1));
+    const projects = await Project.find({ _id: { $in: [...seatsNeeded.keys()] } });
+    if (projects.length !== seatsNeeded.size || projects.some(p => p.seatsAvailable < seatsNeeded.get(p._id.toString()))) {
+      return res.status(409).json({ error: 'Seats have been taken since this preview. Please run a new preview.' });
+    }
+    // Claimed before any seat is taken, so a run committed twice at once only places its students once
+    const committed = await MatchingRun.findOneAndUpdate(
+      { _id: run._id, status: 'preview' },
+      { status: 'committed', committedAt: new Date() },
+      { new: true }
     );
+    if (!committed) {
+      return res.status(409).json({ error: 'This matching run is already being committed' });
+    }
+    // Seats or applications can still change between the checks above and each placement;
+    // those assignments are skipped rather than overbooking a project
+    let selected = 0;
+    for (const assignment of committed.assignments) {
+      const project = await takeSeat(assignment.project);
+      if (!project) continue;
+      const application = await Application.findById(assignment.application);
+      if (!application || !(await confirmSelection(application, project, `You have been selected for "${project.title}"`))) {
+        await releaseSeat(project._id);
+        continue;
+      }
+      selected++;
+    }
+    const skipped = committed.assignments.length - selected;
+    await recordAudit(req, 'matching.commit', { targetType: 'MatchingRun', targetId: committed._id, after: committed });
+    res.json({
+      message: `Matching committed: ${selected} students selected` + (skipped ? `, ${skipped} skipped because their application or seat changed meanwhile` : ''),
+      run: committed
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
   }
-  await project.save();
-}
+});
+
+// Progress Routes
+const publicDeliverable = (deliverable) => {
+  const result = deliverable.toObject();
+  if (result.file) delete result.file.path;
+  return result;
+};
 
-app.post('/api/projects/:id/approve', authenticateToken, async (req, res) => {
+// A project whose progress the user may follow: its faculty, or overseers within their scope
+const findTrackedProject = async (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return null;
+  const project = await Project.findById(req.params.id);
+  if (!project || project.faculty.equals(req.user._id)) return project;
+  if (!hasPermission(req, 'projects.oversee')) return null;
+  return Project.findOne({ _id: project._id, ...(await oversightFilter(req)) });
+};
+
+// Selected applications of a project with their deliverables and grade so far
+const progressEntries = async (project, applications) => {
+  const deliverables = await Deliverable.find({ project: project._id }).populate('submittedBy', 'name loginId');
+  return applications.map(application => {
+    const own = deliverables.filter(deliverable => deliverable.application.equals(application._id));
+    return { application, deliverables: own.map(publicDeliverable), grade: gradeSummary(project, own) };
+  });
+};
+
+app.get('/api/projects/:id/progress', authenticateToken, requirePermission('projects.propose', 'projects.oversee'), async (req, res) => {
   try {
-    if (req.user.role !== 'faculty') {
-      return res.status(403).json({ error: 'Only faculty can approve projects' });
+    const project = await findTrackedProject(req);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
     }
-    const project = await Project.findById(req.params.id);
-    if (!project) return res.status(404).json({ error: 'Project not found' });
-    project.reviews.push({ faculty: req.user._id, decision: 'approved' });
-    await processFinalReview(project);
-    res.json({ message: 'Project review submitted successfully', project });
+    const applications = await Application.find({ project: project._id, status: 'selected' })
+      .populate('student', 'name loginId')
+      .populate('team', 'name')
+      .populate('teamMembers', 'name loginId');
+    const cycle = project.cycle ? await Cycle.findById(project.cycle) : null;
+    res.json({
+      project: {
+        _id: project._id,
+        title: project.title,
+        timeline: project.timeline,
+        status: project.status,
+        milestones: project.milestones,
+        completedAt: project.completedAt
+      },
+      suggestedMilestones: suggestMilestones(project, cycle),
+      students: await progressEntries(project, applications)
+    });
   } catch (error) {
     res.status(500).json({ error: 'Server error: ' + error.message });
   }
 });
 
-app.post('/api/projects/:id/reject', authenticateToken, async (req, res) => {
+// Replaces the milestone plan; milestones that already have deliverables keep their ID and cannot be removed
+app.put('/api/projects/:id/milestones', authenticateToken, requirePermission('projects.propose'), async (req, res) => {
   try {
-    if (req.user.role !== 'faculty') {
-      return res.status(403).json({ error: 'Only faculty can reject projects' });
+    const project = await Project.findById(req.params.id);
+    if (!project || !project.faculty.equals(req.user._id)) {
+      return res.status(403).json({ error: 'Not authorized for this project' });
     }
-    const { comment } = req.body;
-    if (!comment || comment.length > 2500) {
-      return res.status(400).json({ error: 'Feedback comment is required and must not exceed 500 words.' });
+    const { error: cycleError } = await checkCycleWindow(null, project.cycle);
+    if (cycleError) {
+      return res.status(400).json({ error: cycleError });
     }
-    const project = await Project.findById(req.params.id);
-    if (!project) return res.status(404).json({ error: 'Project not found' });
-    project.reviews.push({ faculty: req.user._id, decision: 'rejected', comment: comment });
-    await processFinalReview(project);
-    res.json({ message: 'Project rejected with feedback', project });
+    if (project.status !== 'approved' || project.completedAt) {
+      return res.status(400).json({ error: 'Milestones can only be planned for approved projects that are not yet complete' });
+    }
+    const { milestones } = req.body;
+    const validationError = validateMilestones(milestones);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    const existing = new Map(project.milestones.map(milestone => [milestone._id.toString(), milestone]));
+    const kept = new Set(milestones.filter(milestone => existing.has(String(milestone._id))).map(milestone => String(milestone._id)));
+    const deliverables = await Deliverable.find({ project: project._id }).select('milestone marks');
+    const removedWithWork = [...existing.keys()].find(id => !kept.has(id) && deliverables.some(d => d.milestone.toString() === id));
+    if (removedWithWork) {
+      return res.status(400).json({ error: `"${existing.get(removedWithWork).title}" already has deliverables and cannot be removed` });
+    }
+    for (const milestone of milestones.filter(m => kept.has(String(m._id)))) {
+      const highestMarks = Math.max(0, ...deliverables.filter(d => d.milestone.toString() === String(milestone._id)).map(d => d.marks || 0));
+      if (Number(milestone.maxMarks) < highestMarks) {
+        return res.status(400).json({ error: `"${milestone.title}" already has a deliverable graded ${highestMarks} marks` });
+      }
+    }
+    const before = toAuditSnapshot(project.milestones);
+    project.milestones = milestones
+      .map(milestone => ({
+        _id: kept.has(String(milestone._id)) ? milestone._id : undefined,
+        title: milestone.title.trim(),
+        description: (milestone.description || '').trim(),
+        dueDate: new Date(milestone.dueDate),
+        maxMarks: Number(milestone.maxMarks)
+      }))
+      .sort((a, b) => a.dueDate - b.dueDate);
+    await project.save();
+    await recordAudit(req, 'project.set_milestones', {
+      targetType: 'Project', targetId: project._id, before: { milestones: before }, after: { milestones: project.milestones }
+    });
+    res.json({ message: 'Milestones saved', milestones: project.milestones });
   } catch (error) {
     res.status(500).json({ error: 'Server error: ' + error.message });
   }
 });
 
-// Application Routes
-app.post('/api/applications', authenticateToken, async (req, res) => {
+// The projects the student (or their team) was selected for, with milestones, deliverables and grade
+app.get('/api/progress/my', authenticateToken, requirePermission('projects.apply'), async (req, res) => {
   try {
-    if (req.user.role !== 'student') {
-      return res.status(403).json({ error: 'Only students can apply to projects' });
+    const filter = await resolveCycleFilter(req);
+    if (!filter) {
+      return res.status(400).json({ error: 'Invalid cycle' });
     }
-    const { projectId } = req.body;
-    const applicationCount = await Application.countDocuments({ student: req.user._id });
-    if (applicationCount >= 3) {
-      return res.status(400).json({ error: 'Cannot apply to more than 3 projects' });
+    const applications = await Application.find({ ...filter, ...applicantFilter([req.user._id]), status: 'selected' })
+      .populate('team', 'name')
+      .populate('teamMembers', 'name loginId');
+    res.json(await Promise.all(applications.map(async application => {
+      const project = await Project.findById(application.project).populate('faculty', 'name loginId');
+      const [entry] = await progressEntries(project, [application]);
+      return {
+        ...entry,
+        project: {
+          _id: project._id,
+          title: project.title,
+          timeline: project.timeline,
+          faculty: project.faculty,
+          milestones: project.milestones,
+          completedAt: project.completedAt
+        }
+      };
+    })));
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+app.post('/api/progress/:applicationId/milestones/:milestoneId', authenticateToken, requirePermission('projects.apply'), uploadSingle(deliverableUpload, 'file'), async (req, res) => {
+  // The uploaded file is discarded whenever the submission is refused
+  const refuse = (status, error) => {
+    if (req.file) removeFile(req.file.path);
+    return res.status(status).json({ error });
+  };
+  try {
+    const application = mongoose.isValidObjectId(req.params.applicationId) && await Application.findById(req.params.applicationId);
+    if (!application || application.status !== 'selected' || !applicantIds(application).some(id => id.equals(req.user._id))) {
+      return refuse(403, 'Not authorized for this application');
     }
-    const existingApplication = await Application.findOne({
-      student: req.user._id,
-      project: projectId
-    });
-    if (existingApplication) {
-      return res.status(400).json({ error: 'Already applied to this project' });
+    const project = await Project.findById(application.project);
+    const milestone = project && mongoose.isValidObjectId(req.params.milestoneId) && project.milestones.id(req.params.milestoneId);
+    if (!milestone) {
+      return refuse(404, 'Milestone not found');
     }
-    const project = await Project.findById(projectId);
-    if (!project || project.status !== 'approved' || project.seatsAvailable <= 0) {
-      return res.status(400).json({ error: 'Cannot apply to this project at this time.' });
+    const { error: cycleError } = await checkCycleWindow(null, project.cycle);
+    if (cycleError) {
+      return refuse(400, cycleError);
     }
-    const application = new Application({
-      student: req.user._id,
-      project: projectId,
-      status: 'pending'
+    if (project.completedAt) {
+      return refuse(400, 'This project is complete and no longer accepts deliverables');
+    }
+    if (!req.file) {
+      return refuse(400, 'Please attach a file in the "file" field');
+    }
+    const note = (req.body.note || '').trim();
+    if (note.length > 1000) {
+      return refuse(400, 'The note must not exceed 1000 characters');
+    }
+    let deliverable = await Deliverable.findOne({ application: application._id, milestone: milestone._id });
+    if (deliverable && deliverable.gradedAt) {
+      return refuse(400, 'This deliverable has already been graded');
+    }
+    const before = deliverable ? toAuditSnapshot(deliverable) : undefined;
+    const previousPath = deliverable && deliverable.file.path;
+    deliverable = deliverable || new Deliverable({ project: project._id, milestone: milestone._id, application: application._id });
+    deliverable.set({
+      submittedBy: req.user._id,
+      note,
+      file: { path: req.file.path, originalName: req.file.originalname, size: req.file.size, mimetype: req.file.mimetype },
+      submittedAt: new Date()
     });
-    await application.save();
-    project.seatsAvailable -= 1;
-    await project.save();
-    res.status(201).json(application);
+    await deliverable.save();
+    removeFile(previousPath);
+    await recordAudit(req, 'deliverable.submit', { targetType: 'Deliverable', targetId: deliverable._id, before, after: deliverable });
+    await notify([project.faculty], 'deliverable_submitted',
+      `${req.user.name} (${req.user.loginId}) submitted "${milestone.title}" for "${project.title}"`,
+      { project: project._id, application: application._id });
+    res.status(201).json({ message: 'Deliverable submitted', deliverable: publicDeliverable(deliverable) });
   } catch (error) {
-    res.status(500).json({ error: 'Server error: ' + error.message });
+    refuse(500, 'Server error: ' + error.message);
   }
 });
 
-app.get('/api/applications/my', authenticateToken, async (req, res) => {
+// Students and faculty of the project and overseers can download any deliverable; everyone
+// with the showcase permission can download those featured on a completed project
+app.get('/api/deliverables/:id/file', authenticateToken, async (req, res) => {
   try {
-    if (req.user.role !== 'student') {
-      return res.status(403).json({ error: 'Only students can access this endpoint' });
+    const deliverable = mongoose.isValidObjectId(req.params.id) && await Deliverable.findById(req.params.id);
+    const application = deliverable && await Application.findById(deliverable.application);
+    const project = deliverable && await Project.findById(deliverable.project);
+    if (!application || !project) {
+      return res.status(404).json({ error: 'Deliverable not found' });
     }
-    const applications = await Application.find({ student: req.user._id })
-      .populate('project', 'title abstract timeline')
-      .sort({ appliedAt: -1 });
-    res.json(applications);
+    const isStudent = applicantIds(application).some(id => id.equals(req.user._id));
+    const isOwner = project.faculty.equals(req.user._id);
+    const isOverseer = hasPermission(req, 'projects.oversee') &&
+      !!await Project.exists({ _id: project._id, ...(await oversightFilter(req)) });
+    const isShowcased = deliverable.showcase && !!project.completedAt && hasPermission(req, 'showcase.view');
+    if (!isStudent && !isOwner && !isOverseer && !isShowcased) {
+      return res.status(403).json({ error: 'Not authorized for this deliverable' });
+    }
+    res.download(deliverable.file.path, deliverable.file.originalName);
   } catch (error) {
     res.status(500).json({ error: 'Server error: ' + error.message });
   }
 });
 
-app.get('/api/applications/faculty', authenticateToken, async (req, res) => {
+app.put('/api/deliverables/:id/grade', authenticateToken, requirePermission('projects.propose'), async (req, res) => {
   try {
-    if (req.user.role !== 'faculty') {
-      return res.status(403).json({ error: 'Only faculty can access this endpoint' });
+    const deliverable = mongoose.isValidObjectId(req.params.id) && await Deliverable.findById(req.params.id);
+    const project = deliverable && await Project.findById(deliverable.project);
+    if (!project || !project.faculty.equals(req.user._id)) {
+      return res.status(403).json({ error: 'Not authorized for this deliverable' });
     }
-    const projects = await Project.find({ faculty: req.user._id }).select('_id');
-    const projectIds = projects.map(p => p._id);
-    const applications = await Application.find({ project: { $in: projectIds } })
-      .populate('student', 'name loginId')
-      .populate('project', 'title')
-      .sort({ appliedAt: -1 });
-    res.json(applications);
+    const { error: cycleError } = await checkCycleWindow(null, project.cycle);
+    if (cycleError) {
+      return res.status(400).json({ error: cycleError });
+    }
+    if (project.completedAt) {
+      return res.status(400).json({ error: 'This project is complete and its grades are final' });
+    }
+    const milestone = project.milestones.id(deliverable.milestone);
+    const marks = Number(req.body.marks);
+    if (req.body.marks === undefined || req.body.marks === '' || isNaN(marks) || marks < 0 || marks > milestone.maxMarks) {
+      return res.status(400).json({ error: `Marks must be between 0 and ${milestone.maxMarks}` });
+    }
+    const feedback = (req.body.feedback || '').trim();
+    if (feedback.length > 2500) {
+      return res.status(400).json({ error: 'Feedback must not exceed 500 words' });
+    }
+    const before = toAuditSnapshot(deliverable);
+    deliverable.set({ marks, feedback, showcase: !!req.body.showcase, gradedBy: req.user._id, gradedAt: new Date() });
+    await deliverable.save();
+    await recordAudit(req, 'deliverable.grade', { targetType: 'Deliverable', targetId: deliverable._id, before, after: deliverable });
+    const application = await Application.findById(deliverable.application);
+    await notify(applicantIds(application), 'deliverable_graded',
+      `"${milestone.title}" for "${project.title}" was graded: ${marks} / ${milestone.maxMarks}`,
+      { project: project._id, application: application._id });
+    res.json({ message: 'Grade saved', deliverable: publicDeliverable(deliverable) });
   } catch (error) {
     res.status(500).json({ error: 'Server error: ' + error.message });
   }
 });
 
-app.post('/api/applications/:id/select', authenticateToken, async (req, res) => {
+// Marks a project complete once every selected student's milestones are graded; this fixes the grades
+app.post('/api/projects/:id/complete', authenticateToken, requirePermission('projects.propose'), async (req, res) => {
   try {
-    if (req.user.role !== 'faculty') {
-      return res.status(403).json({ error: 'Only faculty can select students' });
+    const project = await Project.findById(req.params.id);
+    if (!project || !project.faculty.equals(req.user._id)) {
+      return res.status(403).json({ error: 'Not authorized for this project' });
     }
-    const application = await Application.findById(req.params.id).populate('project');
-    if (!application || application.project.faculty.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ error: 'Not authorized for this application' });
+    const { error: cycleError } = await checkCycleWindow(null, project.cycle);
+    if (cycleError) {
+      return res.status(400).json({ error: cycleError });
     }
-    const existingSelection = await Application.findOne({
-      student: application.student,
-      status: 'selected'
+    if (project.completedAt) {
+      return res.status(400).json({ error: 'This project is already complete' });
+    }
+    const applications = await Application.find({ project: project._id, status: 'selected' });
+    if (applications.length === 0 || project.milestones.length === 0) {
+      return res.status(400).json({ error: 'A project needs milestones and selected students before it can be completed' });
+    }
+    const entries = await progressEntries(project, applications);
+    if (entries.some(entry => !entry.grade.complete)) {
+      return res.status(400).json({ error: 'Grade every milestone of every selected student before completing the project' });
+    }
+    project.completedAt = new Date();
+    await project.save();
+    await recordAudit(req, 'project.complete', {
+      targetType: 'Project', targetId: project._id,
+      after: { completedAt: project.completedAt, grades: entries.map(entry => ({ application: entry.application._id, ...entry.grade })) }
     });
-    if (existingSelection) {
-      return res.status(400).json({ error: 'Student already selected for another project' });
+    for (const { application, grade } of entries) {
+      await notify(applicantIds(application), 'project_completed',
+        `"${project.title}" is complete. Final grade: ${grade.marks} / ${grade.maxMarks} (${grade.percentage}%)`,
+        { project: project._id, application: application._id });
     }
-    application.status = 'selected';
-    await application.save();
-    await Application.updateMany(
-      { student: application.student, _id: { $ne: application._id } },
-      { status: 'rejected' }
-    );
-    res.json({ message: 'Student selected successfully', application });
+    res.json({ message: 'Project marked as complete', completedAt: project.completedAt });
   } catch (error) {
     res.status(500).json({ error: 'Server error: ' + error.message });
   }
 });
 
-app.post('/api/applications/:id/reject', authenticateToken, async (req, res) => {
+// Exhibition-day showcase: completed projects of a cycle with the work their faculty chose to feature
+app.get('/api/showcase', authenticateToken, requirePermission('showcase.view'), async (req, res) => {
   try {
-    if (req.user.role !== 'faculty') {
-      return res.status(403).json({ error: 'Only faculty can reject applications' });
+    const filter = await resolveCycleFilter(req);
+    if (!filter) {
+      return res.status(400).json({ error: 'Invalid cycle' });
     }
-    const application = await Application.findById(req.params.id).populate('project');
-    if (!application || application.project.faculty.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ error: 'Not authorized for this application' });
+    const projects = await Project.find({ ...filter, completedAt: { $ne: null } })
+      .populate('faculty', 'name areaOfResearch')
+      .sort({ title: 1 });
+    res.json(await Promise.all(projects.map(async project => {
+      const applications = await Application.find({ project: project._id, status: 'selected' })
+        .populate('student', 'name')
+        .populate('teamMembers', 'name');
+      const artifacts = await Deliverable.find({ project: project._id, showcase: true }).sort({ submittedAt: 1 });
+      return {
+        _id: project._id,
+        title: project.title,
+        abstract: project.abstract,
+        faculty: project.faculty,
+        completedAt: project.completedAt,
+        students: applications.flatMap(application => applicantIds(application).map(student => student.name)),
+        artifacts: artifacts.map(artifact => ({
+          _id: artifact._id,
+          milestone: (project.milestones.id(artifact.milestone) || {}).title,
+          originalName: artifact.file.originalName,
+          size: artifact.file.size,
+          note: artifact.note
+        }))
+      };
+    })));
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+app.put('/api/projects/:id/public-listing', authenticateToken, requirePermission('projects.propose'), async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id);
+    if (!project || !project.faculty.equals(req.user._id)) {
+      return res.status(403).json({ error: 'Not authorized for this project' });
     }
-    application.status = 'rejected';
-    await application.save();
-    const project = await Project.findById(application.project._id);
-    project.seatsAvailable += 1;
+    // Listing is presentation only, so it stays possible for projects of past cycles
+    if (project.status !== 'approved') {
+      return res.status(400).json({ error: 'Only approved projects can be listed publicly' });
+    }
+    const before = { publicListing: project.publicListing };
+    project.publicListing = !!req.body.enabled;
     await project.save();
-    res.json({ message: 'Application rejected successfully', application });
+    await recordAudit(req, 'project.set_public_listing', {
+      targetType: 'Project', targetId: project._id, before, after: { publicListing: project.publicListing }
+    });
+    res.json({
+      message: project.publicListing ? 'Project listed on the public showcase' : 'Project removed from the public showcase',
+      publicListing: project.publicListing
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+// Public Showcase Routes
+// No authentication: only approved projects their faculty chose to list, reduced to the fields
+// meant for the public. Reviews, applications, grades and deliverables are never included.
+const allowEmbedding = (req, res, next) => {
+  res.set('Access-Control-Allow-Origin', '*');
+  res.set('Cache-Control', 'public, max-age=300');
+  next();
+};
+
+const escapeXml = (value) => String(value ?? '').replace(/[<>&'"]/g, char => (
+  { '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[char]
+));
+
+// ?cycle=<id> selects a cycle (the active one by default), ?status=completed keeps completed projects only
+const findPublicProjects = async (req) => {
+  const filter = await resolveCycleFilter(req);
+  if (!filter) return null;
+  const query = { ...filter, status: 'approved', publicListing: true };
+  if (req.query.status === 'completed') query.completedAt = { $ne: null };
+  const projects = await Project.find(query)
+    .populate('faculty', 'name areaOfResearch')
+    .populate('cycle', 'name')
+    .sort({ completedAt: -1, title: 1 });
+  const selections = await Application.find({ project: { $in: projects.map(project => project._id) }, status: 'selected' })
+    .populate('student', 'name')
+    .populate('teamMembers', 'name');
+  return projects.map(project => ({
+    id: project._id,
+    title: project.title,
+    abstract: project.abstract,
+    timeline: project.timeline,
+    faculty: project.faculty ? project.faculty.name : null,
+    areaOfResearch: project.faculty ? project.faculty.areaOfResearch : null,
+    cycle: project.cycle ? project.cycle.name : null,
+    status: project.completedAt ? 'completed' : 'approved',
+    team: selections
+      .filter(application => application.project.equals(project._id))
+      .flatMap(application => applicantIds(application).filter(Boolean).map(student => student.name)),
+    publishedAt: project.completedAt || (project.decisionBasis && project.decisionBasis.decidedAt) || project.submittedAt,
+    url: `${APP_URL}/showcase#project-${project._id}`
+  }));
+};
+
+app.get('/api/public/cycles', publicLimiter, allowEmbedding, async (req, res) => {
+  try {
+    const cycles = await Cycle.find().select('name isActive').sort({ 'submissionWindow.opensAt': -1 });
+    res.json(cycles.map(cycle => ({ id: cycle._id, name: cycle.name, isActive: cycle.isActive })));
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+app.get('/api/public/projects', publicLimiter, allowEmbedding, async (req, res) => {
+  try {
+    const projects = await findPublicProjects(req);
+    if (!projects) {
+      return res.status(400).json({ error: 'Invalid cycle' });
+    }
+    res.json(projects);
+  } catch (error) {
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+});
+
+// RSS 2.0 feed of the same listing, for embedding on the department website
+app.get('/api/public/projects.rss', publicLimiter, allowEmbedding, async (req, res) => {
+  try {
+    const projects = await findPublicProjects(req);
+    if (!projects) {
+      return res.status(400).json({ error: 'Invalid cycle' });
+    }
+    const items = projects.map(project => `
+    <item>
+      <title>${escapeXml(project.title)}</title>
+      <link>${escapeXml(project.url)}</link>
+      <guid isPermaLink="false">${project.id}</guid>
+      <pubDate>${new Date(project.publishedAt).toUTCString()}</pubDate>
+      ${project.areaOfResearch ? `<category>${escapeXml(project.areaOfResearch)}</category>` : ''}
+      <description>${escapeXml([
+        project.abstract,
+        `Faculty: ${project.faculty}`,
+        project.team.length > 0 ? `Team: ${project.team.join(', ')}` : null,
+        project.status === 'completed' ? 'Completed' : null
+      ].filter(Boolean).join('\n\n'))}</description>
+    </item>`).join('');
+    res.type('application/rss+xml').send(`<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0">
+  <channel>
+    <title>Project Exhibition Showcase</title>
+    <link>${escapeXml(`${APP_URL}/showcase`)}</link>
+    <description>Approved and completed projects of the Project Exhibition Portal</description>
+    <lastBuildDate>${new Date().toUTCString()}</lastBuildDate>${items}
+  </channel>
+</rss>
+`);
   } catch (error) {
     res.status(500).json({ error: 'Server error: ' + error.message });
   }
 });
 
-// Initialize demo data
+// Initialize demo data. This wipes everything but the admins, so production only allows it
+// when ALLOW_DEMO_INIT=true (e.g. for the public demo site).
+const DEMO_INIT_ALLOWED = process.env.NODE_ENV !== 'production' || process.env.ALLOW_DEMO_INIT === 'true';
+
 app.post('/api/init-demo', async (req, res) => {
   try {
+    if (!DEMO_INIT_ALLOWED) {
+      return res.status(403).json({ error: 'Demo data cannot be initialized on this server' });
+    }
     await User.deleteMany({ role: { $ne: 'admin' } });
     await Project.deleteMany({});
+    await Team.deleteMany({});
+    await removeDeliverables({});
     await Application.deleteMany({});
+    await Cycle.deleteMany({});
+    await MatchingRun.deleteMany({});
+    await Notification.deleteMany({});
+    await Session.deleteMany({});
     let adminUser = await User.findOne({ loginId: 'admin123' });
     if (!adminUser) {
         adminUser = new User({
@@ -553,7 +4645,39 @@ app.post('/api/init-demo', async (req, res) => {
       mustChangePassword: true
     });
     await studentUser.save();
-    res.json({ message: 'Demo data initialized successfully' });
+    await ensureBuiltInRoles();
+    // The staff accounts get random passwords, returned once like any other temporary password
+    const staffPasswords = { coord01: generateTemporaryPassword(), audit01: generateTemporaryPassword() };
+    await new User({
+      loginId: 'coord01',
+      password: await bcrypt.hash(staffPasswords.coord01, 10),
+      role: 'coordinator',
+      name: 'Prof. Alan Turing',
+      areaOfResearch: 'Computer Science',
+      mustChangePassword: true
+    }).save();
+    await new User({
+      loginId: 'audit01',
+      password: await bcrypt.hash(staffPasswords.audit01, 10),
+      role: 'auditor',
+      name: 'Grace Hopper',
+      mustChangePassword: true
+    }).save();
+    const now = new Date();
+    const demoWindow = {
+      opensAt: now,
+      closesAt: new Date(now.getTime() + 180 * 24 * 60 * 60 * 1000)
+    };
+    const demoCycle = new Cycle({
+      name: 'Demo Cycle',
+      submissionWindow: demoWindow,
+      reviewWindow: demoWindow,
+      applicationWindow: demoWindow,
+      isActive: true
+    });
+    await demoCycle.save();
+    await recordAudit(req, 'system.init_demo', { after: { cycle: demoCycle._id } });
+    res.json({ message: 'Demo data initialized successfully', staffPasswords });
   } catch (error) {
     res.status(500).json({ error: 'Server error: ' + error.message });
   }
@@ -564,7 +4688,25 @@ app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
+// The listener and background jobs only start when this file is run directly; tests import the app
+const startServer = (port = process.env.PORT || 3000) => app.listen(port, () => {
+  console.log(`Server running on port ${port}`);
+  setInterval(() => {
+    sendEmailDigests().catch(err => console.error('Email digest error:', err.message));
+  }, DIGEST_INTERVAL_MINUTES * 60 * 1000);
+  setInterval(() => {
+    processReviewDeadlines().catch(err => console.error('Review deadline error:', err.message));
+  }, REVIEW_CHECK_INTERVAL_MINUTES * 60 * 1000);
 });
+
+if (require.main === module) {
+  connectDatabase()
+    .then(() => console.log('Connected to MongoDB'))
+    .catch(err => {
+      console.error('MongoDB connection error:', err);
+      process.exit(1);
+    });
+  startServer();
+}
+
+module.exports = { app, connectDatabase, startServer, processReviewDeadlines };
@@ -0,0 +1,174 @@
+const mongoose = require('mongoose');
+const {
+  app, request, auth, startDatabase, stopDatabase, resetDemo, createFaculty, createStudents, proposeApproved,
+  apply, act, seatsAvailable
+} = require('./helpers');
+
+let adminToken;
+let faculty;
+let students;
+
+beforeAll(startDatabase);
+afterAll(stopDatabase);
+beforeEach(async () => {
+  adminToken = await resetDemo();
+  faculty = await createFaculty(adminToken, 6);
+  students = await createStudents(adminToken, 3);
+});
+
+const myApplications = async (student) =>
+  (await request(app).get('/api/applications/my').set(auth(student.token)).expect(200)).body;
+
+describe('application limit', () => {
+  test('a student can have at most 3 applications; withdrawn ones do not count', async () => {
+    const projects = [];
+    for (let i = 0; i < 4; i++) {
+      projects.push(await proposeApproved(faculty[0], { title: `Project ${i + 1}` }));
+    }
+    const applications = [];
+    for (const project of projects.slice(0, 3)) {
+      applications.push((await apply(students[0], project._id).expect(201)).body);
+    }
+    const fourth = await apply(students[0], projects[3]._id);
+    expect(fourth.status).toBe(400);
+    expect(fourth.body.error).toMatch(/more than 3 projects/);
+
+    await act(students[0], applications[0]._id, 'withdraw').expect(200);
+    await apply(students[0], projects[3]._id).expect(201);
+  });
+
+  test('a student cannot apply twice to the same project or to an unapproved one', async () => {
+    const project = await proposeApproved(faculty[0]);
+    await apply(students[0], project._id).expect(201);
+    const again = await apply(students[0], project._id);
+    expect(again.status).toBe(400);
+    expect(again.body.error).toMatch(/Already applied/);
+
+    const pending = await request(app).post('/api/projects').set(auth(faculty[1].token))
+      .send({ title: 'Pending', abstract: 'Not reviewed yet.', timeline: '3 months', seats: 1 }).expect(201);
+    await apply(students[0], pending.body._id).expect(400);
+  });
+});
+
+describe('seat accounting', () => {
+  test('applying does not take a seat; selecting does', async () => {
+    const project = await proposeApproved(faculty[0], { seats: 2 });
+    const { body: application } = await apply(students[0], project._id).expect(201);
+    expect(application.status).toBe('pending');
+    expect(await seatsAvailable(project._id)).toBe(2);
+
+    await act(faculty[0], application._id, 'select').expect(200);
+    expect(await seatsAvailable(project._id)).toBe(1);
+  });
+
+  test('a full project waitlists applicants and promotes them when a seat frees up', async () => {
+    const project = await proposeApproved(faculty[0], { seats: 1 });
+    const { body: first } = await apply(students[0], project._id).expect(201);
+    await act(faculty[0], first._id, 'select').expect(200);
+    expect(await seatsAvailable(project._id)).toBe(0);
+
+    const { body: second } = await apply(students[1], project._id).expect(201);
+    expect(second.status).toBe('waitlisted');
+    const refused = await act(faculty[0], second._id, 'select');
+    expect(refused.status).toBe(400);
+    expect(refused.body.error).toMatch(/Every seat/);
+
+    await act(students[0], first._id, 'withdraw').expect(200);
+    const [promoted] = await myApplications(students[1]);
+    expect(promoted.status).toBe('selected');
+    expect(await seatsAvailable(project._id)).toBe(0);
+  });
+
+  test('rejecting a selected student gives the seat back', async () => {
+    const project = await proposeApproved(faculty[0], { seats: 2 });
+    const applications = [];
+    for (const student of students.slice(0, 2)) {
+      const { body: application } = await apply(student, project._id).expect(201);
+      await act(faculty[0], application._id, 'select').expect(200);
+      applications.push(application);
+    }
+    expect(await seatsAvailable(project._id)).toBe(0);
+
+    await act(faculty[0], applications[0]._id, 'reject').expect(200);
+    expect(await seatsAvailable(project._id)).toBe(1);
+  });
+
+  test('only the project\'s faculty can select its applicants', async () => {
+    const project = await proposeApproved(faculty[0]);
+    const { body: application } = await apply(students[0], project._id).expect(201);
+    await act(faculty[1], application._id, 'select').expect(403);
+    expect(await seatsAvailable(project._id)).toBe(project.seats);
+  });
+});
+
+describe('selection auto-rejection', () => {
+  test('selecting a student rejects their other open applications', async () => {
+    const projects = [];
+    for (let i = 0; i < 3; i++) {
+      projects.push(await proposeApproved(faculty[i], { title: `Project ${i + 1}`, seats: 1 }));
+    }
+    const applications = [];
+    for (const project of projects) {
+      applications.push((await apply(students[0], project._id).expect(201)).body);
+    }
+
+    const res = await act(faculty[0], applications[0]._id, 'select').expect(200);
+    expect(res.body.application.status).toBe('selected');
+    const statuses = Object.fromEntries((await myApplications(students[0])).map(a => [a.project._id, a.status]));
+    expect(statuses).toEqual({
+      [projects[0]._id]: 'selected',
+      [projects[1]._id]: 'rejected',
+      [projects[2]._id]: 'rejected'
+    });
+
+    // The rejected applications can no longer be selected, and their seats were never taken
+    const again = await act(faculty[1], applications[1]._id, 'select');
+    expect(again.status).toBe(400);
+    expect(await seatsAvailable(projects[1]._id)).toBe(1);
+  });
+
+  test('a student selected for one project cannot apply to another', async () => {
+    const projects = [await proposeApproved(faculty[0], { title: 'First' }), await proposeApproved(faculty[1], { title: 'Second' })];
+    const { body: application } = await apply(students[0], projects[0]._id).expect(201);
+    await act(faculty[0], application._id, 'select').expect(200);
+
+    const late = await apply(students[0], projects[1]._id);
+    expect(late.status).toBe(400);
+    expect(late.body.error).toMatch(/already been selected/);
+    expect(await seatsAvailable(projects[1]._id)).toBe(projects[1].seats);
+  });
+});
+
+describe('archived selections', () => {
+  test('a student whose project is archived can be selected elsewhere; restoring then gives way', async () => {
+    const first = await proposeApproved(faculty[0], { title: 'First', seats: 1 });
+    const second = await proposeApproved(faculty[1], { title: 'Second', seats: 1 });
+    const { body: original } = await apply(students[0], first._id).expect(201);
+    await act(faculty[0], original._id, 'select').expect(200);
+
+    await request(app).delete(`/api/admin/user/${faculty[0].id}`).set(auth(adminToken)).expect(200);
+    const { body: late } = await apply(students[0], second._id).expect(201);
+    await act(faculty[1], late._id, 'select').expect(200);
+
+    await request(app).post(`/api/admin/archive/${faculty[0].id}/restore`).set(auth(adminToken)).expect(200);
+    const statuses = Object.fromEntries((await myApplications(students[0])).map(a => [a.project._id, a.status]));
+    expect(statuses).toEqual({ [first._id]: 'rejected', [second._id]: 'selected' });
+    expect(await seatsAvailable(first._id)).toBe(1);
+  });
+
+  test('a restored selection that nothing replaced is selected again', async () => {
+    const project = await proposeApproved(faculty[0], { seats: 1 });
+    const { body: application } = await apply(students[0], project._id).expect(201);
+    await act(faculty[0], application._id, 'select').expect(200);
+
+    await request(app).delete(`/api/admin/user/${faculty[0].id}`).set(auth(adminToken)).expect(200);
+    await request(app).post(`/api/admin/archive/${faculty[0].id}/restore`).set(auth(adminToken)).expect(200);
+
+    const [restored] = await myApplications(students[0]);
+    expect(restored.status).toBe('selected');
+    expect(await seatsAvailable(project._id)).toBe(0);
+    // The restored selection holds its selection key again, so the student cannot be selected twice
+    const stored = await mongoose.model('Application').findById(application._id);
+    expect(stored.selectionKeys).toHaveLength(1);
+  });
+});
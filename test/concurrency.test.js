@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+const {
+  app, request, auth, startDatabase, stopDatabase, resetDemo, createReviewers, reviewerTokens, createStudents,
+  propose, proposeApproved, apply, act, seatsAvailable
+} = require('./helpers');
+
+const User = mongoose.model('User');
+const Project = mongoose.model('Project');
+const Application = mongoose.model('Application');
+
+let adminToken;
+let faculty;
+
+beforeAll(startDatabase);
+afterAll(stopDatabase);
+beforeEach(async () => {
+  adminToken = await resetDemo();
+  faculty = await createReviewers(adminToken);
+});
+
+// Requests are fired together, so they interleave inside the server the way simultaneous users would
+const together = (...requests) => Promise.all(requests);
+
+const statuses = (responses) => responses.map(res => res.status).sort();
+
+describe('concurrent reviews', () => {
+  const approve = (token, projectId) => request(app).post(`/api/projects/${projectId}/approve`).set(auth(token)).send({});
+
+  test('reviews submitted at the same moment are all kept and decide the proposal once', async () => {
+    const tokens = await reviewerTokens(faculty);
+    const { body: project } = await propose(faculty[0]).expect(201);
+
+    const responses = await together(...project.assignedReviewers.map(id => approve(tokens.get(id), project._id)));
+    expect(statuses(responses)).toEqual([200, 200, 200, 200, 200]);
+
+    const decided = await Project.findById(project._id);
+    expect(decided.status).toBe('approved');
+    expect(decided.reviews).toHaveLength(5);
+    expect(decided.decisionBasis.approvals).toBe(5);
+    // Each reviewer's workload went up by one on assignment and back down exactly once
+    const reviewers = await User.find({ _id: { $in: project.assignedReviewers } });
+    expect(reviewers.map(r => r.projectsReviewed)).toEqual([0, 0, 0, 0, 0]);
+  });
+
+  test('a repeated submission is recorded once, and a different decision is refused', async () => {
+    const tokens = await reviewerTokens(faculty);
+    const { body: project } = await propose(faculty[0]).expect(201);
+    const token = tokens.get(project.assignedReviewers[0]);
+
+    const responses = await together(approve(token, project._id), approve(token, project._id));
+    expect(statuses(responses)).toEqual([200, 200]);
+    expect((await Project.findById(project._id)).reviews).toHaveLength(1);
+
+    const changed = await request(app).post(`/api/projects/${project._id}/reject`).set(auth(token))
+      .send({ comment: 'Changed my mind.' });
+    expect(changed.status).toBe(409);
+    expect((await Project.findById(project._id)).reviews).toHaveLength(1);
+  });
+
+  test('only assigned reviewers can review', async () => {
+    const { body: project } = await propose(faculty[0]).expect(201);
+    const outsider = faculty.find(f => f.id !== faculty[0].id && !project.assignedReviewers.includes(f.id));
+
+    const res = await approve(outsider.token, project._id);
+    expect(res.status).toBe(403);
+    expect(res.body.error).toMatch(/not assigned/);
+    await approve(faculty[0].token, project._id).expect(403);
+    expect((await Project.findById(project._id)).reviews).toHaveLength(0);
+  });
+});
+
+describe('concurrent selections', () => {
+  let students;
+
+  beforeEach(async () => {
+    students = await createStudents(adminToken, 4);
+  });
+
+  const applied = async (student, projectId) => (await apply(student, projectId).expect(201)).body;
+
+  test('two faculty selecting the same student at once place them only once', async () => {
+    const first = await proposeApproved(faculty[0], { title: 'First', seats: 1 });
+    const second = await proposeApproved(faculty[1], { title: 'Second', seats: 1 });
+    const applications = [await applied(students[0], first._id), await applied(students[0], second._id)];
+
+    const responses = await together(act(faculty[0], applications[0]._id, 'select'), act(faculty[1], applications[1]._id, 'select'));
+    expect(responses.filter(res => res.status === 200)).toHaveLength(1);
+
+    expect(await Application.countDocuments({ student: students[0].id, status: 'selected' })).toBe(1);
+    expect(await seatsAvailable(first._id) + await seatsAvailable(second._id)).toBe(1);
+  });
+
+  test('selecting more applicants than seats at once never overbooks the project', async () => {
+    const project = await proposeApproved(faculty[0], { seats: 2 });
+    const applications = [];
+    for (const student of students) {
+      applications.push(await applied(student, project._id));
+    }
+
+    const responses = await together(...applications.map(application => act(faculty[0], application._id, 'select')));
+    expect(responses.filter(res => res.status === 200)).toHaveLength(2);
+
+    expect(await seatsAvailable(project._id)).toBe(0);
+    expect(await Application.countDocuments({ project: project._id, status: 'selected' })).toBe(2);
+  });
+
+  test('a double-clicked selection takes a single seat', async () => {
+    const project = await proposeApproved(faculty[0], { seats: 2 });
+    const application = await applied(students[0], project._id);
+
+    const responses = await together(act(faculty[0], application._id, 'select'), act(faculty[0], application._id, 'select'));
+    expect(responses.filter(res => res.status === 200)).toHaveLength(1);
+    expect(await seatsAvailable(project._id)).toBe(1);
+  });
+
+  test('withdrawing and rejecting a selection at once gives its seat back once', async () => {
+    const project = await proposeApproved(faculty[0], { seats: 2 });
+    const application = await applied(students[0], project._id);
+    await act(faculty[0], application._id, 'select').expect(200);
+
+    const responses = await together(act(students[0], application._id, 'withdraw'), act(faculty[0], application._id, 'reject'));
+    expect(responses.filter(res => res.status === 200)).toHaveLength(1);
+    expect(await seatsAvailable(project._id)).toBe(2);
+  });
+});
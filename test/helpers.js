@@ -0,0 +1,121 @@
+// Shared setup for the integration tests: an in-memory MongoDB per test file and
+// small wrappers around the API. Uploads go to a temporary directory.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+process.env.UPLOAD_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'portal-uploads-'));
+const { app, connectDatabase } = require('../server');
+
+let mongod;
+
+const startDatabase = async () => {
+  mongod = await MongoMemoryServer.create();
+  await connectDatabase(mongod.getUri());
+};
+
+const stopDatabase = async () => {
+  await mongoose.disconnect();
+  if (mongod) await mongod.stop();
+  fs.rmSync(process.env.UPLOAD_DIR, { recursive: true, force: true });
+};
+
+const auth = (token) => ({ Authorization: `Bearer ${token}` });
+
+// Starts each test from an empty database plus the demo data: the admin123 account, the demo
+// faculty 123456 (Computer Science) and an active cycle whose windows are all open
+const resetDemo = async () => {
+  await mongoose.connection.dropDatabase();
+  await mongoose.connection.syncIndexes();
+  await request(app).post('/api/init-demo').expect(200);
+  return login('admin123', 'admin123');
+};
+
+const login = async (loginId, password) => {
+  const res = await request(app).post('/api/auth/login').send({ loginId, password }).expect(200);
+  return res.body.token;
+};
+
+// Creates a user through the admin API and signs them in with their temporary password
+const createUser = async (adminToken, user) => {
+  const res = await request(app).post('/api/admin/create-user').set(auth(adminToken)).send(user).expect(201);
+  const loginRes = await request(app).post('/api/auth/login')
+    .send({ loginId: user.loginId, password: res.body.user.defaultPassword }).expect(200);
+  return { ...user, id: loginRes.body.user.id, token: loginRes.body.token };
+};
+
+const createFaculty = async (adminToken, count, areaOfResearch = 'Computer Science', firstId = 200001) => {
+  const faculty = [];
+  for (let i = 0; i < count; i++) {
+    faculty.push(await createUser(adminToken, {
+      loginId: String(firstId + i), name: `Faculty ${firstId + i}`, role: 'faculty', areaOfResearch
+    }));
+  }
+  return faculty;
+};
+
+// Seven Computer Science faculty: together with the demo faculty 123456 that makes eight reviewers
+const createReviewers = (adminToken) => createFaculty(adminToken, 7);
+
+// Tokens of every Computer Science faculty by user ID, including the demo faculty
+const reviewerTokens = async (faculty) => {
+  const demo = await request(app).post('/api/auth/login').send({ loginId: '123456', password: 'CompDr.' }).expect(200);
+  return new Map([...faculty.map(f => [f.id, f.token]), [demo.body.user.id, demo.body.token]]);
+};
+
+const createStudents = async (adminToken, count) => {
+  const students = [];
+  for (let i = 1; i <= count; i++) {
+    students.push(await createUser(adminToken, {
+      loginId: `24CSE${String(i).padStart(5, '0')}`, name: `Student ${i}`, role: 'student', dateOfBirth: '2005-01-01'
+    }));
+  }
+  return students;
+};
+
+const propose = (faculty, overrides = {}) => request(app).post('/api/projects').set(auth(faculty.token)).send({
+  title: 'Smart Campus Navigation',
+  abstract: 'Indoor navigation for the campus using Bluetooth beacons.',
+  timeline: '6 months',
+  seats: 2,
+  ...overrides
+});
+
+const apply = (student, projectId) =>
+  request(app).post('/api/applications').set(auth(student.token)).send({ projectId });
+
+// Runs an application action (select, reject, waitlist, withdraw) as the given user
+const act = (user, applicationId, action) =>
+  request(app).post(`/api/applications/${applicationId}/${action}`).set(auth(user.token));
+
+const seatsAvailable = async (projectId) => (await mongoose.model('Project').findById(projectId)).seatsAvailable;
+
+// Shortcut for tests that start from an approved project; the review workflow has its own tests
+const proposeApproved = async (faculty, overrides) => {
+  const res = await propose(faculty, overrides).expect(201);
+  await mongoose.model('Project').updateOne({ _id: res.body._id }, { status: 'approved' });
+  return res.body;
+};
+
+module.exports = {
+  app,
+  request,
+  auth,
+  startDatabase,
+  stopDatabase,
+  resetDemo,
+  login,
+  createUser,
+  createFaculty,
+  createReviewers,
+  reviewerTokens,
+  createStudents,
+  propose,
+  proposeApproved,
+  apply,
+  act,
+  seatsAvailable
+};
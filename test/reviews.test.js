@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const {
+  app, request, auth, startDatabase, stopDatabase, resetDemo, createFaculty, createReviewers, reviewerTokens, propose
+} = require('./helpers');
+
+const User = mongoose.model('User');
+
+let adminToken;
+let faculty;
+
+beforeAll(startDatabase);
+afterAll(stopDatabase);
+beforeEach(async () => {
+  adminToken = await resetDemo();
+  faculty = await createReviewers(adminToken);
+});
+
+const review = (token, projectId, decision, body = {}) =>
+  request(app).post(`/api/projects/${projectId}/${decision === 'approved' ? 'approve' : 'reject'}`).set(auth(token)).send(body);
+
+describe('reviewer rotation', () => {
+  test('assigns five reviewers from the proposer\'s area, never the proposer', async () => {
+    const res = await propose(faculty[0]).expect(201);
+    expect(res.body.status).toBe('pending');
+    expect(res.body.assignedReviewers).toHaveLength(5);
+    expect(res.body.assignedReviewers).not.toContain(faculty[0].id);
+    expect(res.body.reviewDeadlines).toHaveLength(5);
+  });
+
+  test('prefers the least-loaded reviewers for the next proposal', async () => {
+    const first = await propose(faculty[0]).expect(201);
+    // Ties are broken by login ID, so 123456 and 200002-200005 review the first proposal
+    expect(first.body.assignedReviewers).toEqual(expect.arrayContaining(faculty.slice(1, 5).map(f => f.id)));
+
+    const second = await propose(faculty[1], { title: 'Second Proposal' }).expect(201);
+    const idle = [faculty[0], faculty[5], faculty[6]].map(f => f.id);
+    expect(second.body.assignedReviewers).toEqual(expect.arrayContaining(idle));
+    expect(second.body.assignedReviewers).not.toContain(faculty[1].id);
+  });
+
+  test('refuses a proposal when too few reviewers are available', async () => {
+    // Aerospace borrows from the Electronics areas, which have nobody either
+    const aerospace = await createFaculty(adminToken, 3, 'Aerospace', 300001);
+    const res = await propose(aerospace[0]);
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/Not enough available faculty/);
+  });
+});
+
+describe('review outcome', () => {
+  test('a proposal is approved once all five reviewers approve', async () => {
+    const tokens = await reviewerTokens(faculty);
+    const { body: project } = await propose(faculty[0]).expect(201);
+    const [last, ...others] = project.assignedReviewers;
+    for (const reviewerId of others) {
+      const res = await review(tokens.get(reviewerId), project._id, 'approved').expect(200);
+      expect(res.body.project.status).toBe('pending');
+    }
+    const res = await review(tokens.get(last), project._id, 'approved').expect(200);
+    expect(res.body.project.status).toBe('approved');
+    expect(res.body.project.decisionBasis).toMatchObject({ rule: 'unanimous', approvals: 5, rejections: 0 });
+  });
+
+  test('a single rejection rejects the proposal and needs feedback', async () => {
+    const tokens = await reviewerTokens(faculty);
+    const { body: project } = await propose(faculty[0]).expect(201);
+    const [rejecter, ...others] = project.assignedReviewers;
+    for (const reviewerId of others) {
+      await review(tokens.get(reviewerId), project._id, 'approved').expect(200);
+    }
+    const withoutFeedback = await review(tokens.get(rejecter), project._id, 'rejected');
+    expect(withoutFeedback.status).toBe(400);
+    expect(withoutFeedback.body.error).toMatch(/Feedback comment is required/);
+
+    const res = await review(tokens.get(rejecter), project._id, 'rejected', { comment: 'The scope is too broad.' }).expect(200);
+    expect(res.body.project.status).toBe('rejected');
+    expect(res.body.project.decisionBasis).toMatchObject({ approvals: 4, rejections: 1 });
+  });
+
+  test('a majority policy approves a proposal with three of five approvals', async () => {
+    await request(app).put(`/api/admin/decision-policies/${encodeURIComponent('Computer Science')}`)
+      .set(auth(adminToken)).send({ rule: 'majority' }).expect(200);
+    const tokens = await reviewerTokens(faculty);
+    const { body: project } = await propose(faculty[0]).expect(201);
+    const decisions = ['approved', 'rejected', 'approved', 'rejected', 'approved'];
+    let res;
+    for (const [index, reviewerId] of project.assignedReviewers.entries()) {
+      res = await review(tokens.get(reviewerId), project._id, decisions[index], { comment: 'Reviewed.' }).expect(200);
+    }
+    expect(res.body.project.status).toBe('approved');
+    expect(res.body.project.decisionBasis).toMatchObject({ rule: 'majority', approvals: 3, rejections: 2 });
+  });
+
+  test('a decision frees up the reviewers\' workload', async () => {
+    const tokens = await reviewerTokens(faculty);
+    const { body: project } = await propose(faculty[0]).expect(201);
+    const workload = async () => (await User.find({ _id: { $in: project.assignedReviewers } })).map(u => u.projectsReviewed);
+    expect(await workload()).toEqual([1, 1, 1, 1, 1]);
+    for (const reviewerId of project.assignedReviewers) {
+      await review(tokens.get(reviewerId), project._id, 'approved').expect(200);
+    }
+    expect(await workload()).toEqual([0, 0, 0, 0, 0]);
+  });
+});
+
+describe('reviewer workload and the archive', () => {
+  test('archiving a proposer releases their pending proposals from the reviewers\' load until restored', async () => {
+    const { body: project } = await propose(faculty[0]).expect(201);
+    const workload = async () => (await User.find({ _id: { $in: project.assignedReviewers } })).map(u => u.projectsReviewed);
+    expect(await workload()).toEqual([1, 1, 1, 1, 1]);
+
+    await request(app).delete(`/api/admin/user/${faculty[0].id}`).set(auth(adminToken)).expect(200);
+    expect(await workload()).toEqual([0, 0, 0, 0, 0]);
+
+    await request(app).post(`/api/admin/archive/${faculty[0].id}/restore`).set(auth(adminToken)).expect(200);
+    expect(await workload()).toEqual([1, 1, 1, 1, 1]);
+  });
+});
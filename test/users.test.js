@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const { app, request, auth, startDatabase, stopDatabase, resetDemo, createUser } = require('./helpers');
+
+let adminToken;
+
+beforeAll(startDatabase);
+afterAll(stopDatabase);
+beforeEach(async () => {
+  adminToken = await resetDemo();
+});
+
+const create = (user) => request(app).post('/api/admin/create-user').set(auth(adminToken)).send(user);
+
+describe('user creation', () => {
+  test('students need a YYBBBNNNNN registration number and a date of birth', async () => {
+    const res = await create({ loginId: '24cse12', name: 'Bad Format', role: 'student', dateOfBirth: '2005-01-01' });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/YYBBBNNNNN/);
+
+    const noBirthDate = await create({ loginId: '24CSE54321', name: 'No Birth Date', role: 'student' });
+    expect(noBirthDate.status).toBe(400);
+    expect(noBirthDate.body.error).toMatch(/date of birth/);
+
+    const ok = await create({ loginId: '24CSE54321', name: 'Good Format', role: 'student', dateOfBirth: '2005-01-01' });
+    expect(ok.status).toBe(201);
+    expect(ok.body.user.defaultPassword).toEqual(expect.any(String));
+    const stored = await mongoose.model('User').findOne({ loginId: '24CSE54321' });
+    expect(stored.dateOfBirth.toISOString().slice(0, 10)).toBe('2005-01-01');
+  });
+
+  test('faculty need a 6-digit login ID and an area of research', async () => {
+    const res = await create({ loginId: '12345', name: 'Too Short', role: 'faculty', areaOfResearch: 'Computer Science' });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/6 digits/);
+
+    const noArea = await create({ loginId: '654321', name: 'No Area', role: 'faculty' });
+    expect(noArea.status).toBe(400);
+    expect(noArea.body.error).toMatch(/Area of research/);
+
+    const ok = await create({ loginId: '654321', name: 'Dr. Area', role: 'faculty', areaOfResearch: 'Computer Science' });
+    expect(ok.status).toBe(201);
+  });
+
+  test('login IDs are unique and admins cannot be created through the API', async () => {
+    const duplicate = await create({ loginId: '123456', name: 'Copy', role: 'faculty', areaOfResearch: 'Computer Science' });
+    expect(duplicate.status).toBe(400);
+    expect(duplicate.body.error).toMatch(/already exists/);
+
+    const admin = await create({ loginId: 'admin999', name: 'Another Admin', role: 'admin' });
+    expect(admin.status).toBe(400);
+  });
+
+  test('new users sign in with their temporary password and must change it', async () => {
+    const student = await createUser(adminToken, { loginId: '24CSE00042', name: 'New Student', role: 'student', dateOfBirth: '2005-01-01' });
+    const me = await request(app).get('/api/auth/me').set(auth(student.token)).expect(200);
+    expect(me.body).toMatchObject({ loginId: '24CSE00042', role: 'student', mustChangePassword: true });
+    expect(me.body.permissions).toContain('projects.apply');
+  });
+
+  test('routes reject missing tokens and missing permissions', async () => {
+    await request(app).get('/api/admin/users').expect(401);
+    const student = await createUser(adminToken, { loginId: '24CSE00043', name: 'Curious Student', role: 'student', dateOfBirth: '2005-01-01' });
+    await request(app).get('/api/admin/users').set(auth(student.token)).expect(403);
+  });
+});